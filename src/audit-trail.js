@@ -0,0 +1,79 @@
+const _ = require('lodash');
+
+const keys = require('./keys');
+const lease = require('./lease');
+const { metadataKeyOf } = require('./lock-metadata');
+const scripts = require('./scripts');
+
+/**
+ * The number of entries kept in the audit trail of a lock key, the oldest ones are dropped.
+ */
+const AUDIT_TRAIL_LENGTH = exports.AUDIT_TRAIL_LENGTH = 100;
+
+/**
+ * The key storing the audit trail of the given lock key.
+ *
+ * @param {String} lockKey
+ * @returns {String}
+ */
+const auditTrailKeyOf = lockKey => keys.companionKeyOf(lockKey, 'audit');
+
+/**
+ * Serialize an audit entry along with the values of the holders it evicted.
+ *
+ * @param {Object} entry
+ * @param {String[]} evicted
+ * @returns {String}
+ */
+exports.serialize = (entry, evicted) => JSON.stringify({ evicted, entry });
+
+/**
+ * Deserialize an entry serialized by `serialize()` (or recorded by `scripts.FORCE_RELEASE`).
+ *
+ * @param {String} serialized
+ * @returns {Object} The entry with its `evicted` values.
+ */
+const deserialize = exports.deserialize = (serialized) => {
+  const { evicted, entry } = JSON.parse(serialized);
+
+  return _.assign({}, entry, { evicted });
+};
+
+/**
+ * Delete the lock of the given key on every client whoever holds it, and record the audit entry,
+ * see `scripts.FORCE_RELEASE`.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @param {Object} entry
+ * @returns {Promise<Object>} The recorded entry, with the `evicted` values of every client. It's
+ *   rejected when the lock can't be deleted on a quorum of clients.
+ */
+exports.forceRelease = (clients, lockKey, entry) => lease
+  .evaluate(
+    clients,
+    scripts.FORCE_RELEASE,
+    [lockKey, lease.readersKeyOf(lockKey), lease.writerIntentKeyOf(lockKey), metadataKeyOf(lockKey), auditTrailKeyOf(lockKey)],
+    [JSON.stringify(entry), AUDIT_TRAIL_LENGTH]
+  )
+  .then((responses) => {
+    const records = _.map(_.filter(responses, _.isString), deserialize);
+
+    // The lock may still be held on a quorum otherwise
+    if (records.length < Math.floor(clients.length / 2) + 1) {
+      throw new Error(`Unable to force the release of the lock on resource "${lockKey}" on a quorum of clients`);
+    }
+
+    return _.assign({}, entry, { evicted: _.uniq(_.flatMap(records, 'evicted')) });
+  });
+
+/**
+ * Load the audit trail of the given lock key from the client that recorded the most entries.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>} The entries, the most recent first.
+ */
+exports.load = (clients, lockKey) => lease
+  .evaluate(clients, scripts.GET_AUDIT_TRAIL, [auditTrailKeyOf(lockKey)], [])
+  .then(responses => _.map(_.maxBy(_.filter(responses, _.isArray), 'length'), deserialize));
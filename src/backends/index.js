@@ -0,0 +1,31 @@
+const MemoryBackend = require('./memory-backend');
+const PostgresBackend = require('./postgres-backend');
+const RedisBackend = require('./redis-backend');
+
+/**
+ * Storage backends of the mutex client, see `initialize({ backend })`. A backend implements:
+ * - `acquire(lockKey, { mode, value, ttl, limit })` to acquire a single key once, `mode` is one of
+ *   `exclusive` (the lock of `run()`), `read` and `write` (the sides of a read/write lock) or
+ *   `semaphore` (one of the `limit` slots). It resolves to a lock exposing `resource`, `value`,
+ *   `expiration` (timestamp in ms), `extend(ttl)` and `unlock()` (the same as redlock's `Lock`),
+ *   the `exclusive` and `write` locks also carry their `fencingToken`. It's rejected with
+ *   `LockError` when the key is held by someone else.
+ * - `acquireFair(lockKeys, { value, ttl, queueTtl })` and `dequeueFair(lockKeys, value)`, see
+ *   `lease.acquireFair()` and `lease.dequeueFair()`.
+ * - `abandonWrite(lockKey, value)` to withdraw the intent of a writer that gave up, see
+ *   `lease.abandonWrite()`.
+ * - `inspect(lockKey)`, see `lease.inspect()`.
+ * - `notifyRelease(lockKeys)` and `waitForRelease(lockKeys, delay)`, see `ReleaseNotifier`.
+ * - `saveResult(lockKey, outcome, ttl)` and `loadResult(lockKey)`, see `result-store.js`.
+ * - `saveMetadata(lockKey, value, metadata, ttl)`, `removeMetadata(lockKey, value)` and
+ *   `loadMetadata(lockKey)` to store the metadata of each holder (identified by the `value` of its
+ *   lock) until it's removed or its TTL expires, see `lock-metadata.js`.
+ * - `listLocks(pattern)` to list the keys having holders with metadata, matching a glob-style
+ *   pattern (see `keys.matcherOf()`).
+ * - `forceRelease(lockKey, entry)` to delete the lock whoever holds it and record the audit entry
+ *   along with the `evicted` lock values, and `loadAuditTrail(lockKey)` to load the recorded
+ *   entries (the most recent first), see `audit-trail.js`.
+ */
+exports.MemoryBackend = MemoryBackend;
+exports.PostgresBackend = PostgresBackend;
+exports.RedisBackend = RedisBackend;
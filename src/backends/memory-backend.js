@@ -0,0 +1,580 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const EventEmitter = require('events');
+
+const { LockError } = require('../errors');
+const auditTrail = require('../audit-trail');
+const keys = require('../keys');
+const lease = require('../lease');
+const resultStore = require('../result-store');
+const releaseEvents = require('./release-events');
+
+/**
+ * The backend storing the locks in the memory of this process, for the tests and the single node
+ * deployments. It has the same semantics as the redis backend (TTL expiry, read/write locks,
+ * semaphores, fair queues, fencing tokens and release notifications), see `backends/index.js` for
+ * the interface.
+ *
+ * The entries are expired lazily against `Date.now()`, so the expiry follows a fake clock such as
+ * sinon's fake timers.
+ *
+ * @constructor
+ */
+function MemoryBackend() {
+  // Lock key -> { value, expiration } of the exclusive holder (`exclusive`, `write` and fair locks)
+  this.locks = {};
+  // Lock key -> { value, expiration } of the writer waiting for the readers to drain
+  this.writerIntents = {};
+  // Holder set key -> { value: expiration }, the readers are stored in `${lockKey}:readers`
+  this.holders = {};
+  // Lock key -> the last fencing token
+  this.fencingTokens = {};
+  // Lock key -> { value, arrival, expiration }[] of the fair waiters, in arrival order
+  this.queues = {};
+  this.arrivals = 0;
+  // Lock key -> { serialized, expiration }
+  this.results = {};
+  // Lock key -> { value: { metadata, expiration } } of the holders
+  this.metadata = {};
+  // Lock key -> the entries recorded by `forceRelease()`, the most recent first
+  this.auditTrails = {};
+  this.releases = new EventEmitter();
+  this.releases.setMaxListeners(0);
+}
+
+/**
+ * The entry stored in the given map if it's not expired yet, the expired entry is removed.
+ *
+ * @private
+ * @param {Object} entries
+ * @param {String} key
+ * @returns {Object|undefined}
+ */
+const liveEntry = (entries, key) => {
+  const entry = entries[key];
+
+  if (entry && entry.expiration <= Date.now()) {
+    delete entries[key];
+
+    return undefined;
+  }
+
+  return entry;
+};
+
+/**
+ * The holders of the given holder set that are not expired yet, the expired ones are removed.
+ *
+ * @private
+ * @param {String} key
+ * @returns {Object} `{ value: expiration }`
+ */
+MemoryBackend.prototype.liveHolders = function liveHolders(key) {
+  const now = Date.now();
+  const holders = _.pickBy(this.holders[key], expiration => expiration > now);
+
+  if (_.isEmpty(holders)) {
+    delete this.holders[key];
+  } else {
+    this.holders[key] = holders;
+  }
+
+  return holders;
+};
+
+/**
+ * Acquire the given key once.
+ *
+ * @param {String} lockKey
+ * @param {Object} options
+ * @param {String} options.mode - `exclusive`, `read`, `write` or `semaphore`.
+ * @param {String} [options.value] - Value identifying the holder, a writer has to keep the same
+ *   value between its attempts. Defaults to a random value.
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} [options.limit] - The maximum number of holders of a semaphore.
+ * @returns {Promise<MemoryLock>}
+ */
+MemoryBackend.prototype.acquire = function acquire(lockKey, { mode, value = lease.randomValue(), ttl, limit }) {
+  return Bluebird.try(() => {
+    const expiration = Date.now() + ttl;
+    const readersKey = `${lockKey}:readers`;
+    const contended = () => new LockError(`Failed to acquire the ${mode} lock on resource "${lockKey}".`, 1);
+
+    switch (mode) {
+      case 'exclusive': {
+        if (liveEntry(this.locks, lockKey)) {
+          throw contended();
+        }
+
+        return this.lockExclusively(lockKey, value, expiration);
+      }
+
+      case 'read': {
+        this.liveHolders(readersKey);
+
+        if (liveEntry(this.locks, lockKey) || liveEntry(this.writerIntents, lockKey)) {
+          throw contended();
+        }
+
+        return this.hold(readersKey, lockKey, value, expiration);
+      }
+
+      case 'write': {
+        if (liveEntry(this.locks, lockKey)) {
+          throw contended();
+        }
+
+        const intent = liveEntry(this.writerIntents, lockKey);
+
+        if (intent && intent.value !== value) {
+          throw contended();
+        }
+
+        // No new reader is admitted until the writer gets its turn (or the intent expires)
+        if (!_.isEmpty(this.liveHolders(readersKey))) {
+          this.writerIntents[lockKey] = { value, expiration };
+
+          throw contended();
+        }
+
+        delete this.writerIntents[lockKey];
+
+        return this.lockExclusively(lockKey, value, expiration);
+      }
+
+      case 'semaphore': {
+        if (_.size(this.liveHolders(lockKey)) >= limit) {
+          throw contended();
+        }
+
+        return this.hold(lockKey, lockKey, value, expiration);
+      }
+
+      default:
+        throw new Error(`Unknown lock mode "${mode}"`);
+    }
+  });
+};
+
+/**
+ * Store the exclusive lock of the given key and generate its fencing token.
+ *
+ * @private
+ * @param {String} lockKey
+ * @param {String} value
+ * @param {Number} expiration
+ * @returns {MemoryLock}
+ */
+MemoryBackend.prototype.lockExclusively = function lockExclusively(lockKey, value, expiration) {
+  this.locks[lockKey] = { value, expiration };
+  this.fencingTokens[lockKey] = (this.fencingTokens[lockKey] || 0) + 1;
+
+  const lock = new MemoryLock(lockKey, value, expiration, {
+    get: () => liveEntry(this.locks, lockKey),
+    set: (entryExpiration) => {
+      this.locks[lockKey].expiration = entryExpiration;
+    },
+    remove: () => {
+      delete this.locks[lockKey];
+    }
+  });
+  lock.fencingToken = this.fencingTokens[lockKey];
+
+  return lock;
+};
+
+/**
+ * Add a holder to the given holder set.
+ *
+ * @private
+ * @param {String} key - The key of the holder set.
+ * @param {String} lockKey
+ * @param {String} value
+ * @param {Number} expiration
+ * @returns {MemoryLock}
+ */
+MemoryBackend.prototype.hold = function hold(key, lockKey, value, expiration) {
+  this.holders[key] = _.assign(this.holders[key], { [value]: expiration });
+
+  return new MemoryLock(lockKey, value, expiration, {
+    get: () => {
+      const holderExpiration = this.liveHolders(key)[value];
+
+      return holderExpiration && { value, expiration: holderExpiration };
+    },
+    set: (entryExpiration) => {
+      this.holders[key][value] = entryExpiration;
+    },
+    remove: () => {
+      this.holders[key] = _.omit(this.holders[key], value);
+      this.liveHolders(key);
+    }
+  });
+};
+
+/**
+ * The live waiters of the fair queue of the given key, the waiters that stopped refreshing their
+ * entry are removed.
+ *
+ * @private
+ * @param {String} lockKey
+ * @returns {Object[]}
+ */
+MemoryBackend.prototype.liveQueue = function liveQueue(lockKey) {
+  const now = Date.now();
+  const queue = _.filter(this.queues[lockKey], waiter => waiter.expiration > now);
+
+  if (_.isEmpty(queue)) {
+    delete this.queues[lockKey];
+  } else {
+    this.queues[lockKey] = queue;
+  }
+
+  return queue;
+};
+
+/**
+ * Acquire the given keys once in arrival order, see `lease.acquireFair()`.
+ *
+ * @param {String[]} lockKeys
+ * @param {Object} options
+ * @param {String} options.value - Value identifying the waiter.
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} options.queueTtl - TTL of the queue entry in ms.
+ * @returns {Promise<MemoryLock[]>} Rejected with `LockError` carrying the `queuePosition` when
+ *   the locks are not granted yet.
+ */
+MemoryBackend.prototype.acquireFair = function acquireFair(lockKeys, { value, ttl, queueTtl }) {
+  return Bluebird.try(() => {
+    const now = Date.now();
+    // The waiter is enqueued on every key at once, so the waiters are ordered the same way on every key
+    const arrival = ++this.arrivals;
+
+    const queuePosition = _.max(_.map(lockKeys, (lockKey) => {
+      const queue = this.liveQueue(lockKey);
+      let waiter = _.find(queue, { value });
+
+      if (!waiter) {
+        waiter = { value, arrival };
+        queue.push(waiter);
+        this.queues[lockKey] = queue;
+      }
+
+      waiter.expiration = now + queueTtl;
+
+      return _.sortBy(queue, 'arrival').indexOf(waiter) + (liveEntry(this.locks, lockKey) ? 1 : 0);
+    }));
+
+    if (queuePosition > 0) {
+      const error = new LockError(`Waiting in the queue of resource "${lockKeys}" at position ${queuePosition}.`, 1);
+      error.queuePosition = queuePosition;
+
+      throw error;
+    }
+
+    this.removeFromQueues(lockKeys, value);
+
+    return _.map(lockKeys, lockKey => this.lockExclusively(lockKey, value, now + ttl));
+  });
+};
+
+/**
+ * Remove the waiter from the queues of the given keys.
+ *
+ * @private
+ * @param {String[]} lockKeys
+ * @param {String} value
+ */
+MemoryBackend.prototype.removeFromQueues = function removeFromQueues(lockKeys, value) {
+  lockKeys.forEach((lockKey) => {
+    this.queues[lockKey] = _.reject(this.queues[lockKey], { value });
+    this.liveQueue(lockKey);
+  });
+};
+
+/**
+ * Remove the waiter from the queues of the given keys, see `lease.dequeueFair()`.
+ *
+ * @param {String[]} lockKeys
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.dequeueFair = function dequeueFair(lockKeys, value) {
+  return Bluebird.try(() => this.removeFromQueues(lockKeys, value));
+};
+
+/**
+ * Withdraw the intent of the writer of the given key, see `lease.abandonWrite()`.
+ *
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.abandonWrite = function abandonWrite(lockKey, value) {
+  return Bluebird.try(() => {
+    if (_.get(this.writerIntents, [lockKey, 'value']) === value) {
+      delete this.writerIntents[lockKey];
+    }
+  });
+};
+
+/**
+ * Inspect the given key, see `lease.inspect()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object>} `{ locked, remainingTtl, sharedHolders }`
+ */
+MemoryBackend.prototype.inspect = function inspect(lockKey) {
+  return Bluebird.try(() => {
+    const now = Date.now();
+    const lock = liveEntry(this.locks, lockKey);
+    const readers = _.values(this.liveHolders(`${lockKey}:readers`));
+    // The holders of a semaphore
+    const holders = _.values(this.liveHolders(lockKey));
+
+    const remainingTtl = Math.max(0, _.max([lock ? lock.expiration : 0, ...readers, ...holders]) - now);
+
+    return {
+      locked: remainingTtl > 0,
+      remainingTtl,
+      sharedHolders: readers.length
+    };
+  });
+};
+
+/**
+ * Wake the waiters of the given keys up.
+ *
+ * @param {String[]} lockKeys
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.notifyRelease = function notifyRelease(lockKeys) {
+  return Bluebird.try(() => {
+    lockKeys.forEach(lockKey => this.releases.emit(lockKey));
+  });
+};
+
+/**
+ * Wait until one of the given keys is released or the delay elapses, whichever comes first.
+ *
+ * @param {String[]} lockKeys
+ * @param {Number} delay - in ms.
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.waitForRelease = function waitForRelease(lockKeys, delay) {
+  return releaseEvents.waitForRelease(this.releases, lockKeys, delay);
+};
+
+/**
+ * Store the outcome of a function run once. It's serialized the same way the redis backend does,
+ * so the callers settle with the same value or error whichever backend is used.
+ *
+ * @param {String} lockKey
+ * @param {Object} outcome - Either `{ value }` or `{ error }`.
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.saveResult = function saveResult(lockKey, outcome, ttl) {
+  return Bluebird.try(() => {
+    this.results[lockKey] = { serialized: resultStore.serialize(outcome), expiration: Date.now() + ttl };
+  });
+};
+
+/**
+ * Load the outcome stored by `saveResult()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object|null>} Either `{ value }`, `{ error }` or `null` when nothing is stored.
+ */
+MemoryBackend.prototype.loadResult = function loadResult(lockKey) {
+  return Bluebird.try(() => {
+    const result = liveEntry(this.results, lockKey);
+
+    return result ? resultStore.deserialize(result.serialized) : null;
+  });
+};
+
+/**
+ * Store the metadata of a holder of the given key until the given TTL expires.
+ *
+ * @param {String} lockKey
+ * @param {String} value - Value identifying the holder.
+ * @param {Object} metadata
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.saveMetadata = function saveMetadata(lockKey, value, metadata, ttl) {
+  return Bluebird.try(() => {
+    this.metadata[lockKey] = _.assign(this.liveMetadata(lockKey), {
+      [value]: { metadata: _.clone(metadata), expiration: Date.now() + ttl }
+    });
+  });
+};
+
+/**
+ * Remove the metadata of a holder of the given key.
+ *
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+MemoryBackend.prototype.removeMetadata = function removeMetadata(lockKey, value) {
+  return Bluebird.try(() => {
+    const entries = _.omit(this.liveMetadata(lockKey), value);
+
+    if (_.isEmpty(entries)) {
+      delete this.metadata[lockKey];
+    } else {
+      this.metadata[lockKey] = entries;
+    }
+  });
+};
+
+/**
+ * The metadata entries of the given key that are not expired yet, the expired ones are removed.
+ *
+ * @private
+ * @param {String} lockKey
+ * @returns {Object} `{ value: { metadata, expiration } }`
+ */
+MemoryBackend.prototype.liveMetadata = function liveMetadata(lockKey) {
+  const now = Date.now();
+  const entries = _.pickBy(this.metadata[lockKey], ({ expiration }) => expiration > now);
+
+  if (_.isEmpty(entries)) {
+    delete this.metadata[lockKey];
+  }
+
+  return entries;
+};
+
+/**
+ * Load the metadata of the holders of the given key.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>}
+ */
+MemoryBackend.prototype.loadMetadata = function loadMetadata(lockKey) {
+  return Bluebird.try(() => _.map(this.liveMetadata(lockKey), ({ metadata }) => _.clone(metadata)));
+};
+
+/**
+ * List the keys matching the given pattern (see `keys.matcherOf()`) that have holders with metadata.
+ *
+ * @param {String} pattern
+ * @returns {Promise<String[]>}
+ */
+MemoryBackend.prototype.listLocks = function listLocks(pattern) {
+  return Bluebird.try(() => {
+    const matches = keys.matcherOf(pattern);
+
+    return _.sortBy(_.filter(_.keys(this.metadata), lockKey => matches(lockKey) && !_.isEmpty(this.liveMetadata(lockKey))));
+  });
+};
+
+/**
+ * Delete the lock of the given key whoever holds it (the exclusive holder, the holders of a
+ * semaphore and the readers) and record the audit entry. The fencing token is kept, so the next
+ * holder still gets a greater one.
+ *
+ * @param {String} lockKey
+ * @param {Object} entry
+ * @returns {Promise<Object>} The recorded entry with the `evicted` values.
+ */
+MemoryBackend.prototype.forceRelease = function forceRelease(lockKey, entry) {
+  return Bluebird.try(() => {
+    const lock = liveEntry(this.locks, lockKey);
+    const evicted = _.concat(
+      lock ? [lock.value] : [],
+      _.keys(this.liveHolders(lockKey)),
+      _.keys(this.liveHolders(`${lockKey}:readers`))
+    );
+
+    delete this.locks[lockKey];
+    delete this.writerIntents[lockKey];
+    delete this.holders[lockKey];
+    delete this.holders[`${lockKey}:readers`];
+    delete this.metadata[lockKey];
+
+    const recorded = _.assign(_.cloneDeep(entry), { evicted });
+
+    this.auditTrails[lockKey] = _.take([recorded, ...(this.auditTrails[lockKey] || [])], auditTrail.AUDIT_TRAIL_LENGTH);
+
+    return _.cloneDeep(recorded);
+  });
+};
+
+/**
+ * Load the entries recorded by `forceRelease()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>} The entries, the most recent first.
+ */
+MemoryBackend.prototype.loadAuditTrail = function loadAuditTrail(lockKey) {
+  return Bluebird.try(() => _.cloneDeep(this.auditTrails[lockKey] || []));
+};
+
+/**
+ * A lock stored by `MemoryBackend`, it exposes the same `extend()` and `unlock()` methods as
+ * redlock's `Lock`.
+ *
+ * @constructor
+ * @param {String} resource - The lock key.
+ * @param {String} value - Value identifying the holder.
+ * @param {Number} expiration - Timestamp (in ms) when the lock is no longer valid.
+ * @param {Object} entry - `get()`, `set(expiration)` and `remove()` the stored entry of the lock.
+ */
+function MemoryLock(resource, value, expiration, entry) {
+  this.resource = resource;
+  this.value = value;
+  this.expiration = expiration;
+  this.entry = entry;
+}
+
+/**
+ * Whether the stored entry still belongs to this lock.
+ *
+ * @private
+ * @returns {Boolean}
+ */
+MemoryLock.prototype.isStored = function isStored() {
+  const stored = this.entry.get();
+
+  return !!stored && stored.value === this.value;
+};
+
+/**
+ * Extend the lock by the given TTL.
+ *
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<MemoryLock>} Rejected with `LockError` when the lock is no longer held.
+ */
+MemoryLock.prototype.extend = function extend(ttl) {
+  return Bluebird.try(() => {
+    if (!this.isStored()) {
+      throw new LockError(`Unable to extend the lock on resource "${this.resource}".`, 1);
+    }
+
+    this.expiration = Date.now() + ttl;
+    this.entry.set(this.expiration);
+
+    return this;
+  });
+};
+
+/**
+ * Release the lock, releasing a lock that is no longer held is a no-op.
+ *
+ * @returns {Promise<Void>}
+ */
+MemoryLock.prototype.unlock = function unlock() {
+  return Bluebird.try(() => {
+    if (this.isStored()) {
+      this.entry.remove();
+    }
+
+    this.expiration = 0;
+  });
+};
+
+module.exports = MemoryBackend;
@@ -0,0 +1,95 @@
+const _ = require('lodash');
+
+/**
+ * Decorates a backend so the lock keys are stored under a namespace, see `keys.namespaceOf()`.
+ * The keys given to the mutex client and reported by its events stay the same.
+ *
+ * @constructor
+ * @param {Object} backend - See `backends/index.js`.
+ * @param {Object} options
+ * @param {Function} options.keyOf - Function turning a lock key into the stored key.
+ * @param {Function} options.lockKeyOf - Its inverse, returning `null` for the keys of other namespaces.
+ * @param {Function} options.patternOf - Function turning a pattern of lock keys into the pattern
+ *   of the stored keys, see `listLocks()`.
+ */
+function NamespacedBackend(backend, { keyOf, lockKeyOf, patternOf }) {
+  this.backend = backend;
+  this.keyOf = keyOf;
+  this.lockKeyOf = lockKeyOf;
+  this.patternOf = patternOf;
+}
+
+/**
+ * The stored keys of the given lock keys.
+ *
+ * @private
+ * @param {String[]} lockKeys
+ * @returns {String[]}
+ */
+NamespacedBackend.prototype.keysOf = function keysOf(lockKeys) {
+  return _.map(lockKeys, this.keyOf);
+};
+
+NamespacedBackend.prototype.acquire = function acquire(lockKey, options) {
+  return this.backend.acquire(this.keyOf(lockKey), options);
+};
+
+NamespacedBackend.prototype.acquireFair = function acquireFair(lockKeys, options) {
+  return this.backend.acquireFair(this.keysOf(lockKeys), options);
+};
+
+NamespacedBackend.prototype.dequeueFair = function dequeueFair(lockKeys, value) {
+  return this.backend.dequeueFair(this.keysOf(lockKeys), value);
+};
+
+NamespacedBackend.prototype.abandonWrite = function abandonWrite(lockKey, value) {
+  return this.backend.abandonWrite(this.keyOf(lockKey), value);
+};
+
+NamespacedBackend.prototype.inspect = function inspect(lockKey) {
+  return this.backend.inspect(this.keyOf(lockKey));
+};
+
+NamespacedBackend.prototype.notifyRelease = function notifyRelease(lockKeys) {
+  return this.backend.notifyRelease(this.keysOf(lockKeys));
+};
+
+NamespacedBackend.prototype.waitForRelease = function waitForRelease(lockKeys, delay) {
+  return this.backend.waitForRelease(this.keysOf(lockKeys), delay);
+};
+
+NamespacedBackend.prototype.saveResult = function saveResult(lockKey, outcome, ttl) {
+  return this.backend.saveResult(this.keyOf(lockKey), outcome, ttl);
+};
+
+NamespacedBackend.prototype.loadResult = function loadResult(lockKey) {
+  return this.backend.loadResult(this.keyOf(lockKey));
+};
+
+NamespacedBackend.prototype.saveMetadata = function saveMetadata(lockKey, value, metadata, ttl) {
+  return this.backend.saveMetadata(this.keyOf(lockKey), value, metadata, ttl);
+};
+
+NamespacedBackend.prototype.removeMetadata = function removeMetadata(lockKey, value) {
+  return this.backend.removeMetadata(this.keyOf(lockKey), value);
+};
+
+NamespacedBackend.prototype.loadMetadata = function loadMetadata(lockKey) {
+  return this.backend.loadMetadata(this.keyOf(lockKey));
+};
+
+NamespacedBackend.prototype.listLocks = function listLocks(pattern) {
+  return this.backend
+    .listLocks(this.patternOf(pattern))
+    .then(storedKeys => _.compact(_.map(storedKeys, this.lockKeyOf)));
+};
+
+NamespacedBackend.prototype.forceRelease = function forceRelease(lockKey, entry) {
+  return this.backend.forceRelease(this.keyOf(lockKey), entry);
+};
+
+NamespacedBackend.prototype.loadAuditTrail = function loadAuditTrail(lockKey) {
+  return this.backend.loadAuditTrail(this.keyOf(lockKey));
+};
+
+module.exports = NamespacedBackend;
@@ -0,0 +1,715 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const EventEmitter = require('events');
+
+const { LockError } = require('../errors');
+const auditTrail = require('../audit-trail');
+const keys = require('../keys');
+const lease = require('../lease');
+const resultStore = require('../result-store');
+const releaseEvents = require('./release-events');
+
+/**
+ * The current timestamp in ms by the clock of the database.
+ */
+const NOW = '(extract(epoch from clock_timestamp()) * 1000)::bigint';
+
+/**
+ * The SQL statements of the backend, every lock key has a row in the locks table holding its
+ * exclusive holder, the writer intent and the counters. The row is locked (`FOR UPDATE`) for the
+ * duration of the acquisitions, which is what makes them atomic like the Lua scripts of the redis
+ * backend. The timestamps are in ms and taken from the clock of the database (`NOW`), by the
+ * statements themselves or along with the locked rows, so the clocks of the callers don't matter.
+ *
+ * @param {String} tableName
+ * @returns {Object}
+ */
+const statementsOf = (tableName) => {
+  const holders = `${tableName}_holders`;
+  const queue = `${tableName}_queue`;
+  const results = `${tableName}_results`;
+  const metadata = `${tableName}_metadata`;
+  const audit = `${tableName}_audit`;
+
+  return {
+    CREATE_TABLES: [
+      `CREATE TABLE IF NOT EXISTS ${tableName} (
+        lock_key TEXT PRIMARY KEY,
+        value TEXT,
+        expiration BIGINT NOT NULL DEFAULT 0,
+        writer_intent TEXT,
+        writer_intent_expiration BIGINT NOT NULL DEFAULT 0,
+        fencing_token BIGINT NOT NULL DEFAULT 0,
+        queue_counter BIGINT NOT NULL DEFAULT 0
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${holders} (
+        holder_key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        expiration BIGINT NOT NULL,
+        PRIMARY KEY (holder_key, value)
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${queue} (
+        lock_key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        arrival BIGINT NOT NULL,
+        expiration BIGINT NOT NULL,
+        PRIMARY KEY (lock_key, value)
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${results} (
+        lock_key TEXT PRIMARY KEY,
+        outcome TEXT NOT NULL,
+        expiration BIGINT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${metadata} (
+        lock_key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        metadata TEXT NOT NULL,
+        expiration BIGINT NOT NULL,
+        PRIMARY KEY (lock_key, value)
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${audit} (
+        id BIGSERIAL PRIMARY KEY,
+        lock_key TEXT NOT NULL,
+        entry TEXT NOT NULL
+      )`
+    ],
+
+    // $1 lock key
+    INSERT_ROW: `INSERT INTO ${tableName} (lock_key) VALUES ($1) ON CONFLICT (lock_key) DO NOTHING`,
+    LOCK_ROW: `SELECT *, ${NOW} AS now FROM ${tableName} WHERE lock_key = $1 FOR UPDATE`,
+    SELECT_ROW: `SELECT * FROM ${tableName} WHERE lock_key = $1`,
+
+    // $1 lock key, $2 value, $3 expiration
+    LOCK: `UPDATE ${tableName}
+      SET value = $2, expiration = $3, fencing_token = fencing_token + 1
+      WHERE lock_key = $1
+      RETURNING fencing_token`,
+    // $1 lock key, $2 value, $3 ttl
+    EXTEND: `UPDATE ${tableName} SET expiration = ${NOW} + $3 WHERE lock_key = $1 AND value = $2 AND expiration > ${NOW}`,
+    // $1 lock key, $2 value
+    UNLOCK: `UPDATE ${tableName} SET value = NULL, expiration = 0 WHERE lock_key = $1 AND value = $2`,
+    // $1 lock key
+    FORCE_UNLOCK: `UPDATE ${tableName}
+      SET value = NULL, expiration = 0, writer_intent = NULL, writer_intent_expiration = 0
+      WHERE lock_key = $1`,
+    // $1 lock key, $2 value (NULL to clear it), $3 expiration
+    SET_WRITER_INTENT: `UPDATE ${tableName} SET writer_intent = $2, writer_intent_expiration = $3 WHERE lock_key = $1`,
+    // $1 lock key, $2 value
+    ABANDON_WRITE: `UPDATE ${tableName} SET writer_intent = NULL, writer_intent_expiration = 0
+      WHERE lock_key = $1 AND writer_intent = $2`,
+
+    // $1 holder key, $2 the current timestamp
+    PURGE_HOLDERS: `DELETE FROM ${holders} WHERE holder_key = $1 AND expiration <= $2`,
+    COUNT_HOLDERS: `SELECT COUNT(*) AS count, MAX(expiration) AS expiration FROM ${holders}
+      WHERE holder_key = $1 AND expiration > $2`,
+    // $1 holder key
+    INSPECT_HOLDERS: `SELECT COUNT(*) AS count, MAX(expiration) AS expiration, ${NOW} AS now FROM ${holders}
+      WHERE holder_key = $1 AND expiration > ${NOW}`,
+    // $1 holder key, $2 value, $3 expiration
+    HOLD: `INSERT INTO ${holders} (holder_key, value, expiration) VALUES ($1, $2, $3)`,
+    // $1 holder key, $2 value, $3 ttl
+    HOLDER_EXTEND: `UPDATE ${holders} SET expiration = ${NOW} + $3 WHERE holder_key = $1 AND value = $2 AND expiration > ${NOW}`,
+    // $1 holder key, $2 value
+    HOLDER_UNLOCK: `DELETE FROM ${holders} WHERE holder_key = $1 AND value = $2`,
+    // $1 holder key, $2 the current timestamp
+    SELECT_HOLDERS: `SELECT value FROM ${holders} WHERE holder_key = $1 AND expiration > $2`,
+    // $1 holder key
+    CLEAR_HOLDERS: `DELETE FROM ${holders} WHERE holder_key = $1`,
+
+    // $1 lock key, $2 the current timestamp
+    PURGE_QUEUE: `DELETE FROM ${queue} WHERE lock_key = $1 AND expiration <= $2`,
+    // $1 lock key, $2 value
+    SELECT_WAITER: `SELECT arrival FROM ${queue} WHERE lock_key = $1 AND value = $2`,
+    // $1 lock key
+    NEXT_ARRIVAL: `UPDATE ${tableName} SET queue_counter = queue_counter + 1 WHERE lock_key = $1 RETURNING queue_counter`,
+    // $1 lock key, $2 value, $3 arrival, $4 expiration
+    ENQUEUE: `INSERT INTO ${queue} (lock_key, value, arrival, expiration) VALUES ($1, $2, $3, $4)`,
+    // $1 lock key, $2 value, $3 expiration
+    REFRESH_WAITER: `UPDATE ${queue} SET expiration = $3 WHERE lock_key = $1 AND value = $2`,
+    // $1 lock key, $2 arrival
+    COUNT_AHEAD: `SELECT COUNT(*) AS count FROM ${queue} WHERE lock_key = $1 AND arrival < $2`,
+    // $1 lock key, $2 value
+    DEQUEUE: `DELETE FROM ${queue} WHERE lock_key = $1 AND value = $2`,
+
+    // $1 channel, $2 lock key
+    NOTIFY: 'SELECT pg_notify($1, $2)',
+
+    // $1 lock key, $2 outcome, $3 ttl
+    SET_RESULT: `INSERT INTO ${results} (lock_key, outcome, expiration) VALUES ($1, $2, ${NOW} + $3)
+      ON CONFLICT (lock_key) DO UPDATE SET outcome = EXCLUDED.outcome, expiration = EXCLUDED.expiration`,
+    // $1 lock key
+    GET_RESULT: `SELECT outcome FROM ${results} WHERE lock_key = $1 AND expiration > ${NOW}`,
+
+    // $1 lock key
+    PURGE_METADATA: `DELETE FROM ${metadata} WHERE lock_key = $1 AND expiration <= ${NOW}`,
+    // $1 lock key, $2 value, $3 metadata, $4 ttl
+    SET_METADATA: `INSERT INTO ${metadata} (lock_key, value, metadata, expiration) VALUES ($1, $2, $3, ${NOW} + $4)
+      ON CONFLICT (lock_key, value) DO UPDATE SET metadata = EXCLUDED.metadata, expiration = EXCLUDED.expiration`,
+    // $1 lock key, $2 value
+    REMOVE_METADATA: `DELETE FROM ${metadata} WHERE lock_key = $1 AND value = $2`,
+    // $1 lock key
+    GET_METADATA: `SELECT metadata FROM ${metadata} WHERE lock_key = $1 AND expiration > ${NOW}`,
+    LIST_METADATA_KEYS: `SELECT DISTINCT lock_key FROM ${metadata} WHERE expiration > ${NOW}`,
+    // $1 lock key
+    CLEAR_METADATA: `DELETE FROM ${metadata} WHERE lock_key = $1`,
+
+    // $1 lock key, $2 serialized entry
+    RECORD_AUDIT: `INSERT INTO ${audit} (lock_key, entry) VALUES ($1, $2)`,
+    // $1 lock key, $2 the number of entries to keep
+    OLDEST_KEPT_AUDIT: `SELECT id FROM ${audit} WHERE lock_key = $1 ORDER BY id DESC OFFSET $2 LIMIT 1`,
+    // $1 lock key, $2 id
+    TRIM_AUDIT: `DELETE FROM ${audit} WHERE lock_key = $1 AND id <= $2`,
+    // $1 lock key
+    GET_AUDIT_TRAIL: `SELECT entry FROM ${audit} WHERE lock_key = $1 ORDER BY id DESC`
+  };
+};
+
+/**
+ * The backend storing the locks in PostgreSQL tables, for the services without redis. The locks
+ * have the same TTL semantics as the redis ones, see `backends/index.js` for the interface. The
+ * tables are created with `createTables()`.
+ *
+ * A failed acquisition or extension is rejected with `LockError` (so it's retried or turned into
+ * an `ExtendLockError` like the redis ones), a failed release is turned into an `UnlockError` by
+ * the lock handle.
+ *
+ * @constructor
+ * @param {Object} options
+ * @param {Pool} options.pool - `pg` pool (or any object with the same `query()` and `connect()`).
+ * @param {String} [options.tableName] - Defaults to `mutex_locks`, the other tables are prefixed with it.
+ * @param {Client} [options.subscriber] - Connected `pg` client dedicated to the release
+ *   notifications (`LISTEN`), the waiters retry right away when the lock is released instead of
+ *   sleeping for the retry delay.
+ */
+function PostgresBackend({ pool, tableName = 'mutex_locks', subscriber }) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(tableName)) {
+    throw new Error(`Invalid table name "${tableName}"`);
+  }
+
+  this.pool = pool;
+  this.statements = statementsOf(tableName);
+  this.channel = `${tableName}_released`;
+  this.releases = new EventEmitter();
+  this.releases.setMaxListeners(0);
+
+  if (subscriber) {
+    subscriber.on('notification', ({ channel, payload }) => {
+      if (channel === this.channel) {
+        this.releases.emit(payload);
+      }
+    });
+
+    // The waiters fall back to polling when the subscription fails
+    Bluebird.resolve(subscriber.query(`LISTEN "${this.channel}"`)).catch(_.noop);
+  }
+}
+
+/**
+ * Create the tables of the backend unless they exist.
+ *
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.createTables = function createTables() {
+  return Bluebird
+    .each(this.statements.CREATE_TABLES, statement => this.pool.query(statement))
+    .then(_.noop);
+};
+
+/**
+ * Run `fn` in a transaction holding the rows of the given lock keys, the rows are locked in a
+ * canonical order so the concurrent transactions can't deadlock each other.
+ *
+ * @private
+ * @param {String[]} lockKeys
+ * @param {Function} fn - Called with `query(statement, values)`, the rows by lock key and the
+ *   current timestamp of the database, read along with the last locked row.
+ * @returns {Promise<*>} The value of `fn`, the transaction is rolled back when it rejects.
+ */
+PostgresBackend.prototype.transaction = function transaction(lockKeys, fn) {
+  return Bluebird.resolve(this.pool.connect()).then((client) => {
+    const query = (statement, values) => Bluebird.resolve(client.query(statement, values));
+    const rows = {};
+    let now;
+
+    return query('BEGIN')
+      .then(() => Bluebird.each(_.sortedUniq(_.sortBy(lockKeys)), lockKey => query(this.statements.INSERT_ROW, [lockKey])
+        .then(() => query(this.statements.LOCK_ROW, [lockKey]))
+        .then((result) => {
+          rows[lockKey] = result.rows[0];
+          now = Number(result.rows[0].now);
+        })))
+      .then(() => fn(query, rows, now))
+      .then(
+        value => query('COMMIT').return(value),
+        error => query('ROLLBACK').catch(_.noop).then(() => {
+          throw error;
+        })
+      )
+      .finally(() => client.release());
+  });
+};
+
+/**
+ * Reject with `LockError` when an acquisition failed unexpectedly, e.g. the database is unavailable.
+ *
+ * @private
+ * @param {String|String[]} lockKey
+ * @returns {Function}
+ */
+const acquisitionFailed = lockKey => (error) => {
+  if (error instanceof LockError) {
+    throw error;
+  }
+
+  const lockError = new LockError(`Failed to acquire the lock on resource "${lockKey}". Error ${error}`, 1);
+  lockError.stack = error.stack;
+
+  throw lockError;
+};
+
+/**
+ * Acquire the given key once.
+ *
+ * @param {String} lockKey
+ * @param {Object} options
+ * @param {String} options.mode - `exclusive`, `read`, `write` or `semaphore`.
+ * @param {String} [options.value] - Value identifying the holder, a writer has to keep the same
+ *   value between its attempts. Defaults to a random value.
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} [options.limit] - The maximum number of holders of a semaphore.
+ * @returns {Promise<PostgresLease>}
+ */
+PostgresBackend.prototype.acquire = function acquire(lockKey, { mode, value = lease.randomValue(), ttl, limit }) {
+  if (!_.includes(['exclusive', 'read', 'write', 'semaphore'], mode)) {
+    return Bluebird.reject(new Error(`Unknown lock mode "${mode}"`));
+  }
+
+  // The lease expires by the clock of the caller like the redis ones, the rows by the one of the database
+  const start = Date.now();
+  const readersKey = `${lockKey}:readers`;
+  const statements = this.statements;
+
+  return this
+    .transaction([lockKey], (query, rows, now) => {
+      const row = rows[lockKey];
+      const expiration = now + ttl;
+      const locked = Number(row.expiration) > now;
+      const intent = (Number(row.writer_intent_expiration) > now) ? row.writer_intent : null;
+
+      const countHolders = holderKey => query(statements.PURGE_HOLDERS, [holderKey, now])
+        .then(() => query(statements.COUNT_HOLDERS, [holderKey, now]))
+        .then(result => Number(result.rows[0].count));
+
+      const hold = holderKey => query(statements.HOLD, [holderKey, value, expiration])
+        .then(() => new PostgresLease(this, this.holderKind(holderKey, lockKey), value, start + ttl));
+
+      if (mode === 'exclusive') {
+        return locked ? null : this.lockExclusively(query, lockKey, value, expiration, start + ttl);
+      }
+
+      if (mode === 'read') {
+        return (locked || intent) ? null : hold(readersKey);
+      }
+
+      if (mode === 'semaphore') {
+        return countHolders(lockKey).then(count => ((count >= limit) ? null : hold(lockKey)));
+      }
+
+      if (locked || (intent && intent !== value)) {
+        return null;
+      }
+
+      // No new reader is admitted until the writer gets its turn (or the intent expires)
+      return countHolders(readersKey).then((readerCount) => {
+        if (readerCount > 0) {
+          return query(statements.SET_WRITER_INTENT, [lockKey, value, expiration]).return(null);
+        }
+
+        return query(statements.SET_WRITER_INTENT, [lockKey, null, 0])
+          .then(() => this.lockExclusively(query, lockKey, value, expiration, start + ttl));
+      });
+    })
+    .catch(acquisitionFailed(lockKey))
+    .then((acquiredLease) => {
+      if (!acquiredLease) {
+        throw new LockError(`Failed to acquire the ${mode} lock on resource "${lockKey}".`, 1);
+      }
+
+      return acquiredLease;
+    });
+};
+
+/**
+ * Store the exclusive lock of the given key and generate its fencing token, within the
+ * transaction holding the row of the key.
+ *
+ * @private
+ * @param {Function} query
+ * @param {String} lockKey
+ * @param {String} value
+ * @param {Number} expiration - by the clock of the database.
+ * @param {Number} leaseExpiration - by the clock of the caller.
+ * @returns {Promise<PostgresLease>}
+ */
+PostgresBackend.prototype.lockExclusively = function lockExclusively(query, lockKey, value, expiration, leaseExpiration) {
+  return query(this.statements.LOCK, [lockKey, value, expiration]).then((result) => {
+    const lock = new PostgresLease(this, this.lockKind(lockKey), value, leaseExpiration);
+    lock.fencingToken = Number(result.rows[0].fencing_token);
+
+    return lock;
+  });
+};
+
+/**
+ * The exclusive lock of the given key.
+ *
+ * @private
+ * @param {String} lockKey
+ * @returns {Object} `{ resource, key, extendStatement, unlockStatement }`
+ */
+PostgresBackend.prototype.lockKind = function lockKind(lockKey) {
+  return {
+    resource: lockKey,
+    key: lockKey,
+    extendStatement: this.statements.EXTEND,
+    unlockStatement: this.statements.UNLOCK
+  };
+};
+
+/**
+ * A holder of the given holder set, a reader or a semaphore holder.
+ *
+ * @private
+ * @param {String} holderKey
+ * @param {String} lockKey
+ * @returns {Object} `{ resource, key, extendStatement, unlockStatement }`
+ */
+PostgresBackend.prototype.holderKind = function holderKind(holderKey, lockKey) {
+  return {
+    resource: lockKey,
+    key: holderKey,
+    extendStatement: this.statements.HOLDER_EXTEND,
+    unlockStatement: this.statements.HOLDER_UNLOCK
+  };
+};
+
+/**
+ * Acquire the given keys once in arrival order, see `lease.acquireFair()`.
+ *
+ * @param {String[]} lockKeys
+ * @param {Object} options
+ * @param {String} options.value - Value identifying the waiter.
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} options.queueTtl - TTL of the queue entry in ms.
+ * @returns {Promise<PostgresLease[]>} Rejected with `LockError` carrying the `queuePosition` when
+ *   the locks are not granted yet.
+ */
+PostgresBackend.prototype.acquireFair = function acquireFair(lockKeys, { value, ttl, queueTtl }) {
+  const start = Date.now();
+  const statements = this.statements;
+
+  // The waiter is enqueued on every key in the same transaction, so the waiters are ordered the
+  // same way on every key
+  const positionOf = (query, lockKey, row, now) => query(statements.PURGE_QUEUE, [lockKey, now])
+    .then(() => query(statements.SELECT_WAITER, [lockKey, value]))
+    .then((result) => {
+      if (!_.isEmpty(result.rows)) {
+        return query(statements.REFRESH_WAITER, [lockKey, value, now + queueTtl]).return(Number(result.rows[0].arrival));
+      }
+
+      return query(statements.NEXT_ARRIVAL, [lockKey])
+        .then(counter => Number(counter.rows[0].queue_counter))
+        .tap(arrival => query(statements.ENQUEUE, [lockKey, value, arrival, now + queueTtl]));
+    })
+    .then(arrival => query(statements.COUNT_AHEAD, [lockKey, arrival]))
+    .then(result => Number(result.rows[0].count) + ((Number(row.expiration) > now) ? 1 : 0));
+
+  return this
+    .transaction(lockKeys, (query, rows, now) => Bluebird
+      .mapSeries(lockKeys, lockKey => positionOf(query, lockKey, rows[lockKey], now))
+      .then((positions) => {
+        const queuePosition = _.max(positions);
+
+        if (queuePosition > 0) {
+          return { queuePosition };
+        }
+
+        return Bluebird
+          .mapSeries(lockKeys, lockKey => query(statements.DEQUEUE, [lockKey, value])
+            .then(() => this.lockExclusively(query, lockKey, value, now + ttl, start + ttl)))
+          .then(leases => ({ leases }));
+      }))
+    .catch(acquisitionFailed(lockKeys))
+    .then(({ leases, queuePosition }) => {
+      if (leases) {
+        return leases;
+      }
+
+      const error = new LockError(`Waiting in the queue of resource "${lockKeys}" at position ${queuePosition}.`, 1);
+      error.queuePosition = queuePosition;
+
+      throw error;
+    });
+};
+
+/**
+ * Remove the waiter from the queues of the given keys, see `lease.dequeueFair()`.
+ *
+ * @param {String[]} lockKeys
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.dequeueFair = function dequeueFair(lockKeys, value) {
+  return Bluebird
+    .each(lockKeys, lockKey => this.pool.query(this.statements.DEQUEUE, [lockKey, value]))
+    .then(_.noop);
+};
+
+/**
+ * Withdraw the intent of the writer of the given key, see `lease.abandonWrite()`.
+ *
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.abandonWrite = function abandonWrite(lockKey, value) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.ABANDON_WRITE, [lockKey, value]))
+    .then(_.noop);
+};
+
+/**
+ * Inspect the given key, see `lease.inspect()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object>} `{ locked, remainingTtl, sharedHolders }`
+ */
+PostgresBackend.prototype.inspect = function inspect(lockKey) {
+  return Bluebird
+    .all([
+      this.pool.query(this.statements.SELECT_ROW, [lockKey]),
+      this.pool.query(this.statements.INSPECT_HOLDERS, [`${lockKey}:readers`]),
+      // The holders of a semaphore
+      this.pool.query(this.statements.INSPECT_HOLDERS, [lockKey])
+    ])
+    .then(([lock, readers, holders]) => {
+      const expirations = _.map([_.get(lock, 'rows[0]'), readers.rows[0], holders.rows[0]], row => Number(_.get(row, 'expiration')) || 0);
+      const remainingTtl = Math.max(0, _.max(expirations) - Number(readers.rows[0].now));
+
+      return {
+        locked: remainingTtl > 0,
+        remainingTtl,
+        sharedHolders: Number(readers.rows[0].count)
+      };
+    });
+};
+
+/**
+ * Notify the release of the given keys with `pg_notify()`.
+ *
+ * @param {String[]} lockKeys
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.notifyRelease = function notifyRelease(lockKeys) {
+  return Bluebird
+    .each(lockKeys, lockKey => this.pool.query(this.statements.NOTIFY, [this.channel, lockKey]))
+    .then(_.noop);
+};
+
+/**
+ * Wait until one of the given keys is released (when a `subscriber` is given) or the delay elapses.
+ *
+ * @param {String[]} lockKeys
+ * @param {Number} delay - in ms.
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.waitForRelease = function waitForRelease(lockKeys, delay) {
+  return releaseEvents.waitForRelease(this.releases, lockKeys, delay);
+};
+
+/**
+ * Store the outcome of a function run once, serialized the same way the redis backend does.
+ *
+ * @param {String} lockKey
+ * @param {Object} outcome - Either `{ value }` or `{ error }`.
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.saveResult = function saveResult(lockKey, outcome, ttl) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.SET_RESULT, [lockKey, resultStore.serialize(outcome), ttl]))
+    .then(_.noop);
+};
+
+/**
+ * Load the outcome stored by `saveResult()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object|null>} Either `{ value }`, `{ error }` or `null` when nothing is stored.
+ */
+PostgresBackend.prototype.loadResult = function loadResult(lockKey) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.GET_RESULT, [lockKey]))
+    .then(result => (_.isEmpty(result.rows) ? null : resultStore.deserialize(result.rows[0].outcome)));
+};
+
+/**
+ * Store the metadata of a holder of the given key until the given TTL expires, the expired
+ * entries of the key are purged along the way.
+ *
+ * @param {String} lockKey
+ * @param {String} value - Value identifying the holder.
+ * @param {Object} metadata
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.saveMetadata = function saveMetadata(lockKey, value, metadata, ttl) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.PURGE_METADATA, [lockKey]))
+    .then(() => this.pool.query(this.statements.SET_METADATA, [lockKey, value, JSON.stringify(metadata), ttl]))
+    .then(_.noop);
+};
+
+/**
+ * Remove the metadata of a holder of the given key.
+ *
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+PostgresBackend.prototype.removeMetadata = function removeMetadata(lockKey, value) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.REMOVE_METADATA, [lockKey, value]))
+    .then(_.noop);
+};
+
+/**
+ * Load the metadata of the holders of the given key.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>}
+ */
+PostgresBackend.prototype.loadMetadata = function loadMetadata(lockKey) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.GET_METADATA, [lockKey]))
+    .then(result => _.map(result.rows, row => JSON.parse(row.metadata)));
+};
+
+/**
+ * List the keys matching the given pattern (see `keys.matcherOf()`) that have holders with metadata.
+ *
+ * @param {String} pattern
+ * @returns {Promise<String[]>}
+ */
+PostgresBackend.prototype.listLocks = function listLocks(pattern) {
+  const matches = keys.matcherOf(pattern);
+
+  return Bluebird
+    .resolve(this.pool.query(this.statements.LIST_METADATA_KEYS))
+    .then(result => _.sortBy(_.filter(_.map(result.rows, 'lock_key'), matches)));
+};
+
+/**
+ * Delete the lock of the given key whoever holds it (the exclusive holder, the holders of a
+ * semaphore and the readers) and record the audit entry, the oldest entries are dropped past
+ * `auditTrail.AUDIT_TRAIL_LENGTH`. The fencing token is kept, so the next holder still gets a
+ * greater one.
+ *
+ * @param {String} lockKey
+ * @param {Object} entry
+ * @returns {Promise<Object>} The recorded entry with the `evicted` values.
+ */
+PostgresBackend.prototype.forceRelease = function forceRelease(lockKey, entry) {
+  const holderKeys = [lockKey, `${lockKey}:readers`];
+
+  return this.transaction([lockKey], (query, rows, now) => {
+    const row = rows[lockKey];
+    const evicted = (!_.isNil(row.value) && Number(row.expiration) > now) ? [row.value] : [];
+
+    return Bluebird
+      .each(holderKeys, holderKey => query(this.statements.SELECT_HOLDERS, [holderKey, now]).then((result) => {
+        evicted.push(..._.map(result.rows, 'value'));
+      }))
+      .then(() => query(this.statements.FORCE_UNLOCK, [lockKey]))
+      .then(() => Bluebird.each(holderKeys, holderKey => query(this.statements.CLEAR_HOLDERS, [holderKey])))
+      .then(() => query(this.statements.CLEAR_METADATA, [lockKey]))
+      .then(() => query(this.statements.RECORD_AUDIT, [lockKey, auditTrail.serialize(entry, evicted)]))
+      .then(() => query(this.statements.OLDEST_KEPT_AUDIT, [lockKey, auditTrail.AUDIT_TRAIL_LENGTH]))
+      .then((result) => {
+        if (!_.isEmpty(result.rows)) {
+          return query(this.statements.TRIM_AUDIT, [lockKey, result.rows[0].id]);
+        }
+      })
+      .then(() => _.assign({}, entry, { evicted }));
+  });
+};
+
+/**
+ * Load the entries recorded by `forceRelease()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>} The entries, the most recent first.
+ */
+PostgresBackend.prototype.loadAuditTrail = function loadAuditTrail(lockKey) {
+  return Bluebird
+    .resolve(this.pool.query(this.statements.GET_AUDIT_TRAIL, [lockKey]))
+    .then(result => _.map(result.rows, row => auditTrail.deserialize(row.entry)));
+};
+
+/**
+ * A lock stored by `PostgresBackend`, it exposes the same `extend()` and `unlock()` methods as
+ * redlock's `Lock`.
+ *
+ * @constructor
+ * @param {PostgresBackend} backend
+ * @param {Object} kind - See `lockKind()` and `holderKind()`.
+ * @param {String} value - Value identifying the holder.
+ * @param {Number} expiration - Timestamp (in ms) when the lock is no longer valid, by the clock of the caller.
+ */
+function PostgresLease(backend, kind, value, expiration) {
+  this.backend = backend;
+  this.kind = kind;
+  this.resource = kind.resource;
+  this.value = value;
+  this.expiration = expiration;
+}
+
+/**
+ * Extend the lock by the given TTL.
+ *
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<PostgresLease>} Rejected with `LockError` when the lock is no longer held.
+ */
+PostgresLease.prototype.extend = function extend(ttl) {
+  const start = Date.now();
+
+  return Bluebird
+    .resolve(this.backend.pool.query(this.kind.extendStatement, [this.kind.key, this.value, ttl]))
+    .catch((error) => {
+      throw new LockError(`Unable to extend the lock on resource "${this.resource}". Error ${error}`, 1);
+    })
+    .then((result) => {
+      if (result.rowCount < 1) {
+        throw new LockError(`Unable to extend the lock on resource "${this.resource}".`, 1);
+      }
+
+      this.expiration = start + ttl;
+
+      return this;
+    });
+};
+
+/**
+ * Release the lock, releasing a lock that is no longer held is a no-op.
+ *
+ * @returns {Promise<Void>}
+ */
+PostgresLease.prototype.unlock = function unlock() {
+  this.expiration = 0;
+
+  return Bluebird
+    .resolve(this.backend.pool.query(this.kind.unlockStatement, [this.kind.key, this.value]))
+    .then(_.noop);
+};
+
+module.exports = PostgresBackend;
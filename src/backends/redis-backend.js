@@ -0,0 +1,247 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const Redlock = require('redlock');
+
+const auditTrail = require('../audit-trail');
+const lease = require('../lease');
+const lockMetadata = require('../lock-metadata');
+const releaseNotifier = require('../release-notifier');
+const resultStore = require('../result-store');
+
+/**
+ * The backend storing the locks in redis, the exclusive locks are acquired with redlock and the
+ * other kinds of locks with the Lua scripts of `lease.js`. See `backends/index.js` for the interface.
+ *
+ * @constructor
+ * @param {Object} options
+ * @param {Array<Redis>} options.redisClients
+ * @param {Object} [options.redlockOptions] - redlock configuration, its retry options are ignored
+ *   since every lock is attempted once.
+ * @param {Redis} [options.subscriber] - Redis client dedicated to the release notifications.
+ */
+function RedisBackend({ redisClients, redlockOptions = {}, subscriber }) {
+  this.clients = redisClients;
+  this.driftFactor = redlockOptions.driftFactor;
+
+  // Retries are handled by the mutex client so they can be configured per call
+  this.redlock = new Redlock(redisClients, _.assign({}, redlockOptions, { retryCount: 0 }));
+  this.notifier = subscriber ? new releaseNotifier.ReleaseNotifier(subscriber) : null;
+}
+
+/**
+ * Acquire the given key once.
+ *
+ * @param {String} lockKey
+ * @param {Object} options
+ * @param {String} options.mode - `exclusive`, `read`, `write` or `semaphore`.
+ * @param {String} [options.value] - Value identifying the holder, a writer has to keep the same
+ *   value between its attempts. Defaults to a random value, ignored by the `exclusive` mode.
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} [options.limit] - The maximum number of holders of a semaphore.
+ * @returns {Promise<Lock|Lease>}
+ */
+RedisBackend.prototype.acquire = function acquire(lockKey, { mode, value = lease.randomValue(), ttl, limit }) {
+  if (mode === 'exclusive') {
+    return Bluebird
+      .resolve(this.redlock.lock(lockKey, ttl))
+      .then(lock => this.fence(lock));
+  }
+
+  const kinds = {
+    read: () => lease.readLock(lockKey),
+    write: () => lease.writeLock(lockKey),
+    semaphore: () => lease.semaphore(lockKey, limit)
+  };
+
+  if (!kinds[mode]) {
+    return Bluebird.reject(new Error(`Unknown lock mode "${mode}"`));
+  }
+
+  const acquired = lease.acquire(this.clients, kinds[mode](), { value, ttl, driftFactor: this.driftFactor });
+
+  return (mode === 'write') ? acquired.then(lock => this.fence(lock)) : acquired;
+};
+
+/**
+ * Generate the fencing token of the given exclusive lock, the lock is unlocked when the token
+ * can't be generated.
+ *
+ * @private
+ * @param {Lock|Lease} lock
+ * @returns {Promise<Lock|Lease>}
+ */
+RedisBackend.prototype.fence = function fence(lock) {
+  return lease
+    .fence(this.clients, lock)
+    .catch(error => Bluebird
+      .resolve(lock.unlock())
+      .catch(_.noop)
+      .then(() => {
+        throw error;
+      }));
+};
+
+/**
+ * Acquire the given keys once in arrival order, see `lease.acquireFair()`.
+ *
+ * @param {String[]} lockKeys
+ * @param {Object} options
+ * @param {String} options.value
+ * @param {Number} options.ttl - in ms.
+ * @param {Number} options.queueTtl - in ms.
+ * @returns {Promise<Lease[]>}
+ */
+RedisBackend.prototype.acquireFair = function acquireFair(lockKeys, { value, ttl, queueTtl }) {
+  return lease
+    .acquireFair(this.clients, lockKeys, { value, ttl, queueTtl, driftFactor: this.driftFactor })
+    .then(leases => Bluebird
+      .map(leases, fairLease => this.fence(fairLease))
+      .catch(error => Bluebird
+        .map(leases, fairLease => fairLease.unlock().catch(_.noop))
+        .then(() => {
+          throw error;
+        })));
+};
+
+/**
+ * Remove the waiter from the queues of the given keys, see `lease.dequeueFair()`.
+ *
+ * @param {String[]} lockKeys
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.dequeueFair = function dequeueFair(lockKeys, value) {
+  return lease.dequeueFair(this.clients, lockKeys, value);
+};
+
+/**
+ * Withdraw the intent of the writer of the given key, see `lease.abandonWrite()`.
+ *
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.abandonWrite = function abandonWrite(lockKey, value) {
+  return lease.abandonWrite(this.clients, lockKey, value);
+};
+
+/**
+ * Inspect the given key, see `lease.inspect()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object>} `{ locked, remainingTtl, sharedHolders }`
+ */
+RedisBackend.prototype.inspect = function inspect(lockKey) {
+  return lease.inspect(this.clients, lockKey);
+};
+
+/**
+ * Publish the release notification of the given keys.
+ *
+ * @param {String[]} lockKeys
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.notifyRelease = function notifyRelease(lockKeys) {
+  return releaseNotifier.publish(this.clients, lockKeys);
+};
+
+/**
+ * Wait until one of the given keys is released (when a `subscriber` is given) or the delay elapses.
+ *
+ * @param {String[]} lockKeys
+ * @param {Number} delay - in ms.
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.waitForRelease = function waitForRelease(lockKeys, delay) {
+  return this.notifier ? this.notifier.wait(lockKeys, delay) : Bluebird.delay(delay);
+};
+
+/**
+ * Store the outcome of a function run once, see `resultStore.save()`.
+ *
+ * @param {String} lockKey
+ * @param {Object} outcome - Either `{ value }` or `{ error }`.
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.saveResult = function saveResult(lockKey, outcome, ttl) {
+  return resultStore.save(this.clients, lockKey, outcome, ttl);
+};
+
+/**
+ * Load the outcome of a function run once, see `resultStore.load()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object|null>}
+ */
+RedisBackend.prototype.loadResult = function loadResult(lockKey) {
+  return resultStore.load(this.clients, lockKey);
+};
+
+/**
+ * Store the metadata of a holder of the given key, see `lockMetadata.save()`.
+ *
+ * @param {String} lockKey
+ * @param {String} value - Value identifying the holder.
+ * @param {Object} metadata
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.saveMetadata = function saveMetadata(lockKey, value, metadata, ttl) {
+  return lockMetadata.save(this.clients, lockKey, value, metadata, ttl);
+};
+
+/**
+ * Remove the metadata of a holder of the given key.
+ *
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+RedisBackend.prototype.removeMetadata = function removeMetadata(lockKey, value) {
+  return lockMetadata.remove(this.clients, lockKey, value);
+};
+
+/**
+ * Load the metadata of the holders of the given key, see `lockMetadata.load()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>}
+ */
+RedisBackend.prototype.loadMetadata = function loadMetadata(lockKey) {
+  return lockMetadata.load(this.clients, lockKey);
+};
+
+/**
+ * List the keys matching the given pattern that have holders with metadata, see `lockMetadata.scan()`.
+ *
+ * @param {String} pattern
+ * @returns {Promise<String[]>}
+ */
+RedisBackend.prototype.listLocks = function listLocks(pattern) {
+  return lockMetadata.scan(this.clients, pattern);
+};
+
+/**
+ * Delete the lock of the given key whoever holds it and record the audit entry, see
+ * `auditTrail.forceRelease()`.
+ *
+ * @param {String} lockKey
+ * @param {Object} entry
+ * @returns {Promise<Object>} The recorded entry with the `evicted` values.
+ */
+RedisBackend.prototype.forceRelease = function forceRelease(lockKey, entry) {
+  return auditTrail.forceRelease(this.clients, lockKey, entry);
+};
+
+/**
+ * Load the audit trail of the given key, see `auditTrail.load()`.
+ *
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>}
+ */
+RedisBackend.prototype.loadAuditTrail = function loadAuditTrail(lockKey) {
+  return auditTrail.load(this.clients, lockKey);
+};
+
+module.exports = RedisBackend;
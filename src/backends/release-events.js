@@ -0,0 +1,28 @@
+const Bluebird = require('bluebird');
+
+/**
+ * Wait until one of the given lock keys is emitted by the emitter or the delay elapses, whichever
+ * comes first. The backends without a pub/sub of their own emit the released lock keys this way.
+ *
+ * @param {EventEmitter} emitter
+ * @param {String[]} lockKeys
+ * @param {Number} delay - in ms.
+ * @returns {Promise<Void>}
+ */
+exports.waitForRelease = (emitter, lockKeys, delay) => {
+  let listener;
+
+  return new Bluebird((resolve) => {
+    const timeout = setTimeout(resolve, delay);
+
+    listener = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+
+    lockKeys.forEach(lockKey => emitter.on(lockKey, listener));
+  })
+  .finally(() => {
+    lockKeys.forEach(lockKey => emitter.removeListener(lockKey, listener));
+  });
+};
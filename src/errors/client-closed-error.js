@@ -0,0 +1,18 @@
+/**
+ * A class that represents an error that happens when the mutex client is used after `close()`,
+ * or when a function protected by the lock is cancelled because the client is closed.
+ *
+ * @constructor
+ * @param {String} message - The error message.
+ */
+function ClientClosedError(message) {
+  this.message = message;
+  this.name = 'ClientClosedError';
+
+  Error.captureStackTrace(this, ClientClosedError);
+}
+
+ClientClosedError.prototype = Object.create(Error.prototype);
+ClientClosedError.prototype.constructor = ClientClosedError;
+
+module.exports = ClientClosedError;
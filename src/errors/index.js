@@ -1,12 +1,18 @@
 const Redlock = require('redlock');
 
+const ClientClosedError = require('./client-closed-error');
 const ExtendLockError = require('./extend-lock-error');
+const LockStolenError = require('./lock-stolen-error');
+const LockTimeoutError = require('./lock-timeout-error');
 const UnlockError = require('./unlock-error');
 const LockError = Redlock.LockError;
 
 /**
  * Expose custom error
  */
+exports.ClientClosedError = ClientClosedError;
 exports.ExtendLockError = ExtendLockError;
+exports.LockStolenError = LockStolenError;
+exports.LockTimeoutError = LockTimeoutError;
 exports.UnlockError = UnlockError;
 exports.LockError = LockError;
@@ -0,0 +1,24 @@
+const ExtendLockError = require('./extend-lock-error');
+
+/**
+ * A class that represents an error that happens when the lock is released by `forceRelease()`
+ * while it's held, the holder finds out when its next extension fails. It's an `ExtendLockError`
+ * as well, since the lock can no longer be extended.
+ *
+ * @constructor
+ * @param {String} message - The error message.
+ * @param {Object} auditEntry - The audit entry recorded by `forceRelease()`.
+ */
+function LockStolenError(message, auditEntry) {
+  this.message = message;
+  this.auditEntry = auditEntry;
+  this.reason = auditEntry.reason;
+  this.name = 'LockStolenError';
+
+  Error.captureStackTrace(this, LockStolenError);
+}
+
+LockStolenError.prototype = Object.create(ExtendLockError.prototype);
+LockStolenError.prototype.constructor = LockStolenError;
+
+module.exports = LockStolenError;
@@ -0,0 +1,22 @@
+/**
+ * A class that represents an error that happens when the function protected by the lock runs
+ * longer than the given maximum duration.
+ *
+ * @constructor
+ * @param {String} message - The error message.
+ * @param {Number} maxDuration - The maximum duration in ms.
+ * @param {Number} elapsedTime - The time elapsed before the function is cancelled in ms.
+ */
+function LockTimeoutError(message, maxDuration, elapsedTime) {
+  this.message = message;
+  this.maxDuration = maxDuration;
+  this.elapsedTime = elapsedTime;
+  this.name = 'LockTimeoutError';
+
+  Error.captureStackTrace(this, LockTimeoutError);
+}
+
+LockTimeoutError.prototype = Object.create(Error.prototype);
+LockTimeoutError.prototype.constructor = LockTimeoutError;
+
+module.exports = LockTimeoutError;
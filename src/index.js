@@ -1,20 +1,76 @@
 const _ = require('lodash');
+const { AsyncLocalStorage } = require('async_hooks');
 const Bluebird = require('bluebird').config({ cancellation: true });
-const Redlock = require('redlock');
+const EventEmitter = require('events');
+const os = require('os');
 
-const { ExtendLockError, LockError, UnlockError } = require('./errors');
+const { RedisBackend } = require('./backends');
+const NamespacedBackend = require('./backends/namespaced-backend');
+const { ClientClosedError, LockError, LockStolenError, LockTimeoutError } = require('./errors');
+const keys = require('./keys');
+const LeaderElection = require('./leader-election');
+const lease = require('./lease');
+const LocalQueue = require('./local-queue');
+const LockHandle = require('./lock-handle');
+const retry = require('./retry');
+const tracing = require('./tracing');
+
+/**
+ * Sort and deduplicate the given lock keys, so that every caller acquires overlapping key sets
+ * in the same deterministic order.
+ *
+ * @param {String[]} lockKeys
+ * @returns {String[]}
+ */
+const normalizeLockKeys = lockKeys => _.sortedUniq(_.sortBy(lockKeys));
+
+/**
+ * The error of the reentrant mode on the runtimes without `AsyncLocalStorage` (before Node.js 12.17).
+ *
+ * @returns {Error}
+ */
+const reentrantUnsupportedError = () => new Error('[Mutex] The reentrant mode requires AsyncLocalStorage (Node.js 12.17 and later)');
 
 /**
  * Create mutex singleton.
  *
+ * The client is an `EventEmitter` emitting the lifecycle events of the locks, every event is
+ * emitted with the `lockKey`, the normalized `lockKeys` and the `lockTtl`:
+ * - `acquireAttempt` with the `attempt` number, before every attempt.
+ * - `contended` with the `attempt` number, the `contendedKeys` and the `waitTime` so far, when an
+ *   attempt fails because the lock is held.
+ * - `acquired` with the number of `attempts` and the `waitTime`.
+ * - `extended` and `extendFailed` (with the `error`), on every extension.
+ * - `released` and `unlockFailed` (with the `error`), once the lock is released.
+ * - `cancelled` with the `error`, when the function is cancelled (the lock is lost, it runs longer
+ *   than `maxDuration` or the client is closed).
+ * - `forceReleased` with the audit `entry`, when a lock is released with `forceRelease()` by this
+ *   client, it carries no `lockTtl`.
+ * The events of a held lock also carry its `holdTime` and `extendCount`, the times are in ms.
+ *
  * @author Muhamad Luthfie La Roeha <mroeha@cermati.com>
  * @param {Object} config
  * @param {Array<Redis>} config.redisClients - Array of Redis Client for storing lock key
- * @param {Number} config.redlockOptions - redlock configuration
+ * @param {Number} config.redlockOptions - redlock configuration, its retry options are used as the
+ *   default retry policy of every acquisition
  * @param {Number} config.minimumTtl - Minimum TTL for the redis lock
  * @param {Number} config.extendLockBufferOffset - The offset before TTL expire (when we want to extend the TTL)
  * @param {Number} config.maxExtendLockCount - The maximum limit that lock can be extended
- * @returns {Object}
+ * @param {Redis} [config.subscriber] - Redis client dedicated to the release notifications, the
+ *   waiters retry right away when the lock is released instead of sleeping for the retry delay.
+ * @param {Object} [config.backend] - Storage backend of the locks (see `backends/index.js`), e.g. a
+ *   `MemoryBackend` for the tests. Defaults to a `RedisBackend` on `redisClients`, in which case
+ *   `redlockOptions` and `subscriber` are given to it.
+ * @param {Boolean} [config.reentrant] - The default of the `reentrant` option of `run()`, defaults to false.
+ *   The reentrant mode requires `AsyncLocalStorage` (Node.js 12.17 and later).
+ * @param {String|String[]} [config.namespace] - Namespace of the lock keys (e.g. `['billing', 'production']`),
+ *   so the keys of the apps and environments sharing the same redis don't collide.
+ * @param {String} [config.keyPrefix] - Prefix of the lock keys, prepended as is.
+ * @param {Boolean} [config.hashTag] - Wrap the namespace in a Redis Cluster hash tag, so the keys of a
+ *   multi-key lock are stored in the same slot. It requires a `namespace`.
+ * @param {Boolean|Object} [config.adaptiveExtension] - The default of the `adaptiveExtension` option of
+ *   `run()`, defaults to false.
+ * @returns {EventEmitter}
  */
 exports.initialize = ({
   redisClients,
@@ -22,116 +78,1175 @@ exports.initialize = ({
   minimumTtl = 100, // in ms
   extendLockBufferOffset = 50, // in ms
   maxExtendLockCount = 20,
-  redlockOptions = { retryCount: 0 }
+  redlockOptions = { retryCount: 0 },
+  subscriber,
+  backend: storageBackend = new RedisBackend({ redisClients, redlockOptions, subscriber }),
+  reentrant: reentrantByDefault = false,
+  namespace,
+  keyPrefix,
+  hashTag = false,
+  adaptiveExtension: adaptiveExtensionByDefault = false
 }) => {
-  const redlock = new Redlock(redisClients, redlockOptions);
+  if (reentrantByDefault && !AsyncLocalStorage) {
+    throw reentrantUnsupportedError();
+  }
+
+  // The keys given to the client are namespaced once they reach the backend
+  const backend = (namespace || keyPrefix || hashTag)
+    ? new NamespacedBackend(storageBackend, {
+      keyOf: keys.namespaceOf({ namespace, keyPrefix, hashTag }),
+      lockKeyOf: keys.lockKeyOf({ namespace, keyPrefix, hashTag }),
+      patternOf: keys.patternOf({ namespace, keyPrefix, hashTag })
+    })
+    : storageBackend;
+  // Retries are handled by `retry.retry()` so they can be configured per call
+  const defaultRetryPolicy = retry.fromRedlockOptions(redlockOptions);
+  // The callers of `runOnce()` wait for the outcome of the function by default
+  const waitForOutcomePolicy = retry.resolvePolicy(defaultRetryPolicy, { maxRetryDelay: 1000, waitTimeout: Infinity });
   const debug = require('debug')(debugKey);
+  const localQueue = new LocalQueue();
+  // Lock key -> pending `runOnce()` promise
+  const pendingRuns = {};
+  // What `close()` has to drain or release
+  const activeRuns = new Set();
+  const heldHandles = new Set();
+  const elections = new Set();
+  let closing = null;
+  // The locks held by the reentrant callers of the current async context, lock key -> holder.
+  // It's only created once the reentrant mode is used, `AsyncLocalStorage` requires Node.js 12.17
+  let heldLocks = null;
+  // The client itself, it emits the lifecycle events of the locks
+  const emitter = new EventEmitter();
+
+  /**
+   * Emit a lifecycle event, the errors thrown by the listeners are logged so they can't break
+   * the lock.
+   *
+   * @param {String} event
+   * @param {Object} payload
+   */
+  const notify = (event, payload) => {
+    try {
+      emitter.emit(event, payload);
+    } catch (error) {
+      debug('[Mutex %s] Error in the listener of %s: %s', payload.lockKey, event, error);
+    }
+  };
+
+  /**
+   * The payload of the lifecycle events of the given handle.
+   *
+   * @param {LockHandle} handle
+   * @param {Object} [extra]
+   * @returns {Object}
+   */
+  const handlePayloadOf = (handle, extra) => _.assign({
+    lockKey: handle.lockKey,
+    lockKeys: handle.lockKeys,
+    lockTtl: handle.lockTtl,
+    holdTime: Date.now() - handle.acquiredAt,
+    extendCount: handle.extendLockCounter
+  }, extra);
+
+  /**
+   * Forward the lifecycle events of the given handle.
+   *
+   * @param {LockHandle} handle
+   */
+  const observe = (handle) => {
+    const payloadOf = extra => handlePayloadOf(handle, extra);
+
+    handle.on('extended', () => notify('extended', payloadOf()));
+    handle.on('extendFailed', error => notify('extendFailed', payloadOf({ error })));
+    handle.once('released', (error) => {
+      notify(error ? 'unlockFailed' : 'released', payloadOf(error ? { error } : {}));
+    });
+  };
+
+  /**
+   * Store the metadata of the holder alongside every lock of the given handle, so `inspect()` and
+   * `listLocks()` can tell who holds the lock. It's refreshed on every extension and removed once
+   * the lock is released. The metadata is only informative, its failures are logged.
+   *
+   * @param {LockHandle} handle
+   * @param {String} [label] - Label given by the caller, e.g. the name of the job.
+   */
+  const describeHolder = (handle, label) => {
+    const eachLock = (description, fn) => Bluebird
+      .map(handle.locks, (lock, index) => fn(handle.lockKeys[index], lock.value))
+      .catch((error) => {
+        debug('[Mutex %s] Error when %s the lock metadata: %s', handle.lockKey, description, error);
+      });
+
+    const save = () => eachLock('saving', (lockKey, value) => backend.saveMetadata(lockKey, value, {
+      hostname: os.hostname(),
+      pid: process.pid,
+      label,
+      acquiredAt: handle.acquiredAt,
+      extendCount: handle.extendLockCounter
+    }, handle.lockTtl));
+
+    save();
+    handle.on('extended', save);
+    handle.once('released', () => eachLock('removing', (lockKey, value) => backend.removeMetadata(lockKey, value)));
+  };
+
+  /**
+   * The `LockStolenError` of the given handle when one of its locks has been released by
+   * `forceRelease()`, i.e. the audit trail of one of its keys records the eviction of its lock.
+   *
+   * @param {LockHandle} handle
+   * @returns {Promise<LockStolenError|undefined>}
+   */
+  const theftOf = handle => Bluebird
+    .map(handle.lockKeys, lockKey => backend.loadAuditTrail(lockKey))
+    .then((auditTrails) => {
+      const values = _.map(handle.locks, 'value');
+      const entry = _.find(_.flatten(auditTrails), ({ evicted }) => !_.isEmpty(_.intersection(evicted, values)));
+
+      if (entry) {
+        return new LockStolenError(
+          `[Mutex ${handle.lockKey}] Promise is cancelled because the lock has been force released (reason: ${entry.reason})`,
+          entry
+        );
+      }
+    });
+
+  /**
+   * The error of the calls made after `close()`.
+   *
+   * @returns {ClientClosedError}
+   */
+  const closedError = () => new ClientClosedError('[Mutex] The mutex client is closed');
+
+  /**
+   * Lock every key in `lockKeys` one by one in the given order, in an all-or-nothing manner.
+   * When one of the keys can't be locked, every key that has been locked is unlocked before the
+   * error is propagated so the other workers don't need to wait for the TTL to expire.
+   *
+   * The keys MUST be given in a canonical order (see `normalizeLockKeys`), acquiring overlapping
+   * key sets in the same order is what prevents the callers from deadlocking each other.
+   *
+   * @param {String[]} lockKeys
+   * @param {Function} lock - Function that locks a single key once, resolves to a `Lock` or `Lease`.
+   * @returns {Promise<Lock[]>}
+   */
+  const lockAll = (lockKeys, lock) => {
+    const locks = [];
+    let currentKey;
+
+    return Bluebird
+      .each(lockKeys, (key) => {
+        currentKey = key;
+
+        return Bluebird
+          .resolve(lock(key))
+          .then(acquiredLock => locks.push(acquiredLock));
+      })
+      .then(() => locks)
+      .catch((error) => {
+        debug('[Mutex %s] Failed to lock %s, rolling back %s acquired lock(s)', lockKeys, currentKey, locks.length);
+
+        return Bluebird
+          .map(locks, acquiredLock => Bluebird.resolve(acquiredLock.unlock()).catch((unlockError) => {
+            // The lock will be released once its TTL expires, nothing else we can do here
+            debug('[Mutex %s] Error when rolling back lock: %s', lockKeys, unlockError);
+          }))
+          .then(() => {
+            if (!(error instanceof LockError)) {
+              throw error;
+            }
+
+            const lockError = new LockError(
+              `[Mutex ${lockKeys}] Failed to lock the resource, contended keys: ${currentKey}`,
+              error.attempts
+            );
+            lockError.contendedKeys = [currentKey];
+
+            throw lockError;
+          });
+      });
+  };
+
+  /**
+   * Lock the given key exclusively once, with the redis backend the lock is compatible with redlock's.
+   *
+   * @param {String} key
+   * @param {Number} lockTtl - Lock TTL in ms.
+   * @returns {Promise<Lock>}
+   */
+  const lockExclusively = (key, lockTtl) => backend.acquire(key, { mode: 'exclusive', ttl: lockTtl });
+
+  /**
+   * Create a locker that locks every key one by one with `lock`, see `lockAll()`.
+   *
+   * @param {Function} lock - Function that locks a single key once, receives the key and TTL.
+   * @param {Boolean} [exclusive] - Whether the lock is exclusive, see `acquireHandle()`.
+   * @returns {Object} See `acquireHandle()`.
+   */
+  const eachKey = (lock, exclusive = false) => ({
+    lock: (lockKeys, lockTtl) => lockAll(lockKeys, key => lock(key, lockTtl)),
+    exclusive
+  });
+
+  /**
+   * Create a locker that grants the locks in arrival order, see `backend.acquireFair()`. The waiter
+   * keeps its place in the queue between the attempts, and leaves the queue when it gives up.
+   *
+   * @param {Number} [queueTtl] - TTL of the queue entry in ms, defaults to twice the lock TTL or
+   *   the longest delay between the attempts, whichever is longer.
+   * @returns {Object} See `acquireHandle()`.
+   */
+  const fairly = (queueTtl) => {
+    const value = lease.randomValue();
+
+    return {
+      lock: (lockKeys, lockTtl, policy) => Bluebird
+        .try(() => {
+          const entryTtl = queueTtl || Math.ceil(2 * Math.max(lockTtl, retry.maxDelay(policy)));
+
+          if (!_.isFinite(entryTtl)) {
+            throw new Error('Queue TTL must be given when the retry delay is unbounded');
+          }
+
+          return backend.acquireFair(lockKeys, { value, ttl: lockTtl, queueTtl: entryTtl });
+        })
+        .catch(LockError, (error) => {
+          debug('[Mutex %s] Waiting in the queue at position %s', lockKeys, error.queuePosition);
+
+          throw error;
+        }),
+      abandon: lockKeys => backend.dequeueFair(lockKeys, value),
+      exclusive: true,
+      fair: true
+    };
+  };
+
+  /**
+   * Create the locker of the exclusive lock of `run()`, see `config.fair`.
+   *
+   * @param {Object} config - See `run()`.
+   * @returns {Object} See `acquireHandle()`.
+   */
+  const exclusiveLocker = config => (config.fair ? fairly(config.queueTtl) : eachKey(lockExclusively, true));
+
+  /**
+   * Lock the given key(s) with the `locker`, retrying according to the retry policy.
+   *
+   * @param {Object} locker
+   * @param {Function} locker.lock - Function that locks the normalized keys once, receives the
+   *   keys, TTL and retry policy.
+   * @param {Function} [locker.abandon] - Function called with the normalized keys when the
+   *   acquisition is given up.
+   * @param {Boolean} [locker.exclusive] - Whether the lock is exclusive, the callers of this process
+   *   then wait in the local queue and only the first one in line acquires the lock from the backend.
+   * @param {Boolean} [locker.fair] - Whether the lock is granted in arrival order by the backend, the
+   *   callers then wait in the backend queue from their arrival instead of the local queue, so they
+   *   are ordered along with the callers of the other processes.
+   * @param {Object} config - See `run()`.
+   * @returns {Promise<LockHandle>}
+   */
+  const acquireHandle = (locker, {
+    lockKey,
+    lockTtl = 1000,
+    retry: retryPolicy,
+    maxExtendLockCount: extendLockLimit = maxExtendLockCount,
+    adaptiveExtension = adaptiveExtensionByDefault,
+    label,
+    tracer
+  }) => {
+    debug('[Mutex %s] Locking resource with ttl %s ms', lockKey, lockTtl);
+
+    if (closing) {
+      return Bluebird.reject(closedError());
+    }
+
+    if (lockTtl < minimumTtl) {
+      return Bluebird.reject(new Error(`TTL must be more than ${minimumTtl} ms!`));
+    }
+
+    const lockKeys = (_.isArray(lockKey)) ? lockKey : [lockKey];
+
+    if (_.isEmpty(lockKeys) || !_.every(lockKeys, _.isString)) {
+      return Bluebird.reject(new Error('Lock key must be a string or an array of string'));
+    }
+
+    const normalizedLockKeys = normalizeLockKeys(lockKeys);
+    const policy = retry.resolvePolicy(defaultRetryPolicy, retryPolicy);
+    const startedAt = Date.now();
+    const payloadOf = extra => _.assign({ lockKey, lockKeys: normalizedLockKeys, lockTtl }, extra);
+    const span = tracing.startSpan(tracer, 'mutex.acquire', tracing.lockAttributes(lockKey, lockTtl));
+
+    const waiter = (locker.exclusive && !locker.fair) ? localQueue.enqueue(normalizedLockKeys) : null;
+    let waitLocally = false;
+    let attemptCount = 0;
+    let handle;
+
+    const attempt = () => {
+      if (closing) {
+        return Bluebird.reject(closedError());
+      }
+
+      if (!waiter) {
+        return locker.lock(normalizedLockKeys, lockTtl, policy);
+      }
+
+      // The callers behind another caller of this process wait for it locally instead of polling the backend
+      waitLocally = true;
+
+      return waiter.claim().then(() => {
+        waitLocally = false;
+
+        return Bluebird
+          .resolve(locker.lock(normalizedLockKeys, lockTtl, policy))
+          .catch((error) => {
+            waiter.unclaim();
+
+            throw error;
+          });
+      });
+    };
+
+    const observedAttempt = (attempts) => {
+      attemptCount = attempts;
+      notify('acquireAttempt', payloadOf({ attempt: attempts }));
+
+      return Bluebird
+        .resolve(attempt())
+        .catch(LockError, (error) => {
+          notify('contended', payloadOf({
+            attempt: attempts,
+            contendedKeys: error.contendedKeys || normalizedLockKeys,
+            waitTime: Date.now() - startedAt
+          }));
+
+          throw error;
+        });
+    };
+
+    const wait = (delay) => {
+      if (waitLocally) {
+        return waiter.wait(delay);
+      }
+
+      return backend.waitForRelease(normalizedLockKeys, delay);
+    };
+
+    return retry
+      .retry(observedAttempt, policy, wait)
+      .catch((error) => {
+        tracing.fail(span, error);
+
+        if (!locker.abandon) {
+          throw error;
+        }
+
+        return Bluebird
+          .resolve(locker.abandon(normalizedLockKeys))
+          .catch(_.noop)
+          .then(() => {
+            throw error;
+          });
+      })
+      .then((locks) => {
+        handle = new LockHandle({
+          locks,
+          lockKeys: normalizedLockKeys,
+          lockKey,
+          lockTtl,
+          extendLockBufferOffset,
+          maxExtendLockCount: extendLockLimit,
+          debug,
+          onRelease: releasedKeys => backend.notifyRelease(releasedKeys),
+          explainLoss: () => theftOf(handle),
+          tracer,
+          adaptiveExtension
+        });
+
+        if (waiter) {
+          waiter.hold(handle);
+          handle.once('released', () => waiter.leave());
+        }
+
+        heldHandles.add(handle);
+        handle.once('released', () => heldHandles.delete(handle));
+        observe(handle);
+        describeHolder(handle, label);
+
+        // The client is closed while the lock was being acquired
+        if (closing) {
+          return handle
+            .release()
+            .catch(_.noop)
+            .then(() => {
+              throw closedError();
+            });
+        }
+
+        notify('acquired', payloadOf({ attempts: attemptCount, waitTime: handle.acquiredAt - startedAt }));
+
+        return handle;
+      })
+      // Also called when the acquisition is cancelled
+      .finally(() => {
+        if (waiter && !handle) {
+          waiter.leave();
+        }
+
+        span.setAttributes({
+          'mutex.attempts': attemptCount,
+          'mutex.contended': attemptCount > 1 || !handle,
+          'mutex.wait_time': Date.now() - startedAt
+        });
+        span.end();
+      });
+  };
+
+  /**
+   * The context given to the function run under the lock of the given holder.
+   *
+   * @param {Object} holder - `{ handle, holdCount }`
+   * @returns {Object}
+   */
+  const contextOf = holder => ({
+    signal: holder.handle.signal,
+    lockKey: holder.handle.lockKey,
+    lockTtl: holder.handle.lockTtl,
+    fencingToken: holder.handle.fencingToken,
+    fencingTokens: holder.handle.fencingTokens,
+    get extendCount() {
+      return holder.handle.extendLockCounter;
+    },
+    get holdCount() {
+      return holder.holdCount;
+    }
+  });
+
+  /**
+   * The storage of the locks held by the reentrant callers, created on the first reentrant call.
+   *
+   * @returns {AsyncLocalStorage}
+   */
+  const heldLocksStorage = () => {
+    heldLocks = heldLocks || new AsyncLocalStorage();
+
+    return heldLocks;
+  };
+
+  /**
+   * The holder of the lock of the given key(s) held by a reentrant caller of the current async
+   * context. Every key has to be held under the same lock, the lock of the other keys would have
+   * to be acquired on top of it.
+   *
+   * @param {String|String[]} lockKey
+   * @returns {Object|null} `{ handle, holdCount }`
+   */
+  const holderOf = (lockKey) => {
+    const heldByCaller = heldLocksStorage().getStore();
+    const lockKeys = _.isArray(lockKey) ? lockKey : [lockKey];
+
+    if (!heldByCaller || _.isEmpty(lockKeys)) {
+      return null;
+    }
+
+    const holders = _.uniq(_.map(lockKeys, key => heldByCaller.get(key)));
+    const holder = holders[0];
+
+    return (holders.length === 1 && holder && holder.handle.isHeld()) ? holder : null;
+  };
+
+  /**
+   * Run `f` under the lock already held by the caller, the lock stays held until the outermost
+   * call is settled. `f` is cancelled when the lock is lost, just like the outermost `f`.
+   *
+   * @param {Function} f - Function to be run.
+   * @param {Object} holder - `{ handle, holdCount }`
+   * @returns {Promise<*>}
+   */
+  const reenter = (f, holder) => {
+    const { handle } = holder;
+    let cancellationError;
+
+    holder.holdCount++;
+    debug('[Mutex %s] Reentering the lock held by the caller, hold count %s', handle.lockKey, holder.holdCount);
+
+    const deferred = Bluebird.try(() => f(contextOf(holder)));
+
+    const onLost = (error) => {
+      cancellationError = error;
+      deferred.cancel();
+    };
+
+    handle.once('lost', onLost);
+
+    return deferred.finally(() => {
+      holder.holdCount--;
+      handle.removeListener('lost', onLost);
+
+      if (deferred.isCancelled()) {
+        throw cancellationError;
+      }
+    });
+  };
+
+  /**
+   * Lock the given key(s) with the `locker` and run `f` while the locks are periodically extended,
+   * the locks are released once `f` is settled or cancelled.
+   *
+   * @param {Function} f - Function to be run.
+   * @param {Object} locker - See `acquireHandle()`.
+   * @param {Object} config - See `run()`.
+   * @returns {Promise<Void>}
+   */
+  const runWithLock = (f, locker, config) => {
+    const { maxDuration, reentrant = reentrantByDefault } = config;
+
+    if (!_.isNil(maxDuration) && !(maxDuration > 0)) {
+      return Bluebird.reject(new Error('Max duration must be a positive number'));
+    }
+
+    if (reentrant && !AsyncLocalStorage) {
+      return Bluebird.reject(reentrantUnsupportedError());
+    }
+
+    const heldHolder = (reentrant && locker.exclusive) ? holderOf(config.lockKey) : null;
+
+    if (heldHolder) {
+      return reenter(f, heldHolder);
+    }
+
+    return acquireHandle(locker, config).then((handle) => {
+      const startedAt = Date.now();
+      const holder = { handle, holdCount: 1 };
+      let cancellationError;
+
+      let span;
+
+      // The nested reentrant calls of `f` find the lock through the async context
+      const call = () => Bluebird.try(() => f(contextOf(holder)));
+
+      // Call the original function with the context of the lock, the spans created by `f` are
+      // the children of the span of the critical section
+      const deferred = tracing.startActiveSpan(
+        config.tracer,
+        'mutex.critical_section',
+        tracing.lockAttributes(handle.lockKey, handle.lockTtl),
+        (activeSpan) => {
+          span = activeSpan;
+
+          if (!reentrant || !locker.exclusive) {
+            return call();
+          }
+
+          const heldByCaller = new Map(heldLocksStorage().getStore());
+          handle.lockKeys.forEach(lockKey => heldByCaller.set(lockKey, holder));
+
+          return heldLocksStorage().run(heldByCaller, call);
+        }
+      );
+
+      handle.on('lost', (error) => {
+        // To prevent race condition, we'll try to cancel the promise.
+        // When we cancel `f` within bluebird domain, it'll call `finally` callback,
+        // native promises are notified through the aborted `signal` instead
+        cancellationError = error;
+        deferred.cancel();
+      });
+
+      const timeout = maxDuration && setTimeout(() => {
+        const elapsedTime = Date.now() - startedAt;
+
+        cancellationError = new LockTimeoutError(
+          `[Mutex ${handle.lockKey}] Promise is cancelled because it's been running for ${elapsedTime} ms, more than ${maxDuration} ms`,
+          maxDuration,
+          elapsedTime
+        );
+
+        handle.abort(cancellationError);
+        deferred.cancel();
+      }, maxDuration);
+
+      // Cancelled by `close()` once the drain timeout is exceeded
+      const activeRun = {
+        cancel: (error) => {
+          cancellationError = error;
+          handle.abort(error);
+          deferred.cancel();
+        }
+      };
+
+      activeRuns.add(activeRun);
+      handle.autoExtend();
+
+      // Finally will be called regardless of `deferred` got cancelled
+      activeRun.done = deferred.finally(() => {
+        clearTimeout(timeout);
+        activeRuns.delete(activeRun);
+
+        if (deferred.isCancelled()) {
+          notify('cancelled', handlePayloadOf(handle, { error: cancellationError }));
+          tracing.fail(span, cancellationError);
+        } else if (deferred.isRejected()) {
+          tracing.fail(span, deferred.reason());
+        }
+
+        span.setAttribute('mutex.extend_count', handle.extendLockCounter);
+        span.end();
+
+        return handle
+          .release()
+          .then(() => {
+            // We need to throw an error if it's cancelled.
+            // Otherwise, the promise will hang because the `.then` handler that's
+            // attached after `mutex.run` won't be called, one way to make sure that
+            // it won't hang is by throwing an error so the `.catch` handler will
+            // be called.
+            if (deferred.isCancelled()) {
+              throw cancellationError;
+            }
+          });
+      });
+
+      return activeRun.done;
+    });
+  };
+
+  /**
+   * Run `f` under the lock and share its outcome through the backend, or wait for the outcome of the
+   * caller holding the lock, see `runOnce()`.
+   *
+   * @param {Function} f - Function to be run.
+   * @param {Object} config - See `runOnce()`.
+   * @param {Number} resultTtl - in ms.
+   * @returns {Promise<*>}
+   */
+  const runAndShare = (f, config, resultTtl) => {
+    const { lockKey } = config;
+    const policy = retry.resolvePolicy(waitForOutcomePolicy, config.retry);
+
+    const attempt = () => backend
+      .loadResult(lockKey)
+      .then((outcome) => {
+        if (outcome) {
+          return outcome;
+        }
+
+        let ownOutcome;
+
+        // The outcome is stored before the lock is released, so the waiters can't miss it
+        const runAndStore = context => Bluebird
+          .resolve(f(context))
+          .then(value => ({ value }), error => ({ error }))
+          .then((settledOutcome) => {
+            ownOutcome = settledOutcome;
+
+            return backend.saveResult(lockKey, settledOutcome, resultTtl);
+          });
+
+        return runWithLock(runAndStore, eachKey(lockExclusively, true), _.assign({}, config, { retry: { maxAttempts: 1 } }))
+          .then(() => ownOutcome);
+      });
+
+    return retry
+      .retry(attempt, policy, delay => backend.waitForRelease([lockKey], delay))
+      .then(outcome => (_.has(outcome, 'error') ? Bluebird.reject(outcome.error) : outcome.value));
+  };
+
+  /**
+   * Get the state of the given lock key, whether it's held exclusively (by `run()`, `runExclusive()`,
+   * `acquire()` or `semaphore()`) or shared (by `runShared()`).
+   *
+   * @param {String} lockKey
+   * @returns {Promise<Object>} `{ locked, remainingTtl, sharedHolders }`, `remainingTtl` in ms is 0
+   *   when the lock is not held and `sharedHolders` is the number of `runShared()` holders.
+   */
+  const getLockInfo = (lockKey) => {
+    if (!_.isString(lockKey)) {
+      return Bluebird.reject(new Error('Lock key must be a string'));
+    }
+
+    return backend.inspect(lockKey);
+  };
 
-  return {
+  /**
+   * Get the state of the given lock key along with the metadata of its holders, see `inspect()`.
+   *
+   * @param {String} lockKey
+   * @returns {Promise<Object>}
+   */
+  const inspectLock = (lockKey) => {
+    if (!_.isString(lockKey)) {
+      return Bluebird.reject(new Error('Lock key must be a string'));
+    }
+
+    return Bluebird
+      .join(backend.inspect(lockKey), backend.loadMetadata(lockKey), (info, holders) => _.assign({ lockKey }, info, {
+        holders: info.locked ? _.sortBy(holders, 'acquiredAt') : []
+      }));
+  };
+
+  /**
+   * Wait until the given runs are settled or the timeout elapses, whichever comes first.
+   *
+   * @param {Object[]} runs - See `runWithLock()`.
+   * @param {Number} timeout - in ms.
+   * @returns {Promise<Boolean>} Whether every run is settled.
+   */
+  const waitForRuns = (runs, timeout) => new Bluebird((resolve) => {
+    // `setTimeout` doesn't support delays longer than ~24.8 days, let alone infinite ones
+    const timer = _.isFinite(timeout) && setTimeout(() => resolve(false), timeout);
+
+    Bluebird.all(_.map(runs, run => run.done.reflect())).then(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+
+  return _.assign(emitter, {
     /**
      * Run the given function `f` around mutex mechanism so that the function can use the resource
      * exclusively.
      *
      * @author Sendy Halim <sendy@cermati.com>
-     * @param {Function} f - Function to be run.
+     * @param {Function} f - Function to be run, it receives a context object with the `lockKey`,
+     *   `lockTtl`, the current `extendCount`, the `fencingToken` (when a single key is locked),
+     *   the `fencingTokens` by lock key, the `holdCount` (see `config.reentrant`) and an AbortSignal
+     *   `signal` (Node.js 15 and later) that is aborted when the lock is lost or extended more than
+     *   `maxExtendLockCount` times, with the `ExtendLockError` as its `reason` from Node.js 16.14.
      * @param {Object} config
      * @param {String|String[]} config.lockKey
      * @param {String} [config.lockTtl] - Lock TTL in ms, defaults to 1000ms.
+     * @param {Object} [config.retry] - Retry policy of the acquisition (exponential backoff with jitter),
+     *   see `retry.resolvePolicy()`. Defaults to the policy derived from `redlockOptions`.
+     * @param {Number} [config.maxDuration] - Maximum running time of `f` in ms, `f` is cancelled with
+     *   `LockTimeoutError` once it's exceeded. Defaults to no limit other than `maxExtendLockCount`.
+     * @param {Number} [config.maxExtendLockCount] - Overrides the client's `maxExtendLockCount`.
+     * @param {Boolean} [config.fair] - Grant the lock to the waiters in arrival order, the waiters
+     *   wait in a queue per lock key. Only the waiters in fair mode respect the queue. Every lock
+     *   key has to be stored in the same redis node (e.g. with hash tags on Redis Cluster).
+     * @param {Number} [config.queueTtl] - In fair mode, the time (in ms) after which the entry of
+     *   a waiter that stopped retrying is dropped from the queue.
+     * @param {Tracer} [config.tracer] - OpenTelemetry tracer, the acquisition, the extensions, the
+     *   critical section and the release are traced with the `mutex.acquire`, `mutex.extend`,
+     *   `mutex.critical_section` and `mutex.release` spans.
+     * @param {Boolean} [config.reentrant] - Let the nested calls made by `f` (within the same async
+     *   context, see `AsyncLocalStorage`) reenter the lock instead of waiting for it, every nested
+     *   key has to be held by the same call. The nested calls increment the `holdCount` and the lock
+     *   is released once the outermost call is settled. Defaults to the client's `reentrant` option.
+     * @param {Boolean|Object} [config.adaptiveExtension] - Extend the lock based on the measured
+     *   round-trip times of the extensions instead of every `lockTtl - extendLockBufferOffset` ms,
+     *   and retry a failed extension while the lock is still valid, see `LockHandle`. Either true
+     *   or the `{ extendAt, driftFactor, retryDelay }` options. Defaults to the client's option.
+     *   The lock is then held for at most `lockTtl * maxExtendLockCount` ms, whatever the number
+     *   of extensions.
+     * @param {String} [config.label] - Label stored in the metadata of the holder, e.g. the name of
+     *   the job, see `inspect()`.
+     * @returns {Promise<Void>}
+     */
+    run: (f, config) => runWithLock(f, exclusiveLocker(config), config),
+
+    /**
+     * Run the given function `f` like `run()` does, unless the lock is held by someone else, in
+     * which case `f` is skipped. Useful when another worker holding the lock is the normal case,
+     * e.g. cron jobs running on every node.
+     *
+     * @param {Function} f - Function to be run, see `run()`.
+     * @param {Object} config - See `run()`, the lock is attempted once unless `retry` is given.
+     * @returns {Promise<Object>} `{ acquired: true, value }` with the value of `f`, or
+     *   `{ acquired: false }` when the lock is held by someone else. Rejected with the rejection of `f`.
+     */
+    tryRun: (f, config) => {
+      let acquired = false;
+
+      const runAcquired = (context) => {
+        acquired = true;
+
+        return f(context);
+      };
+
+      return runWithLock(runAcquired, exclusiveLocker(config), _.defaults({}, config, { retry: { maxAttempts: 1 } }))
+        .then(value => ({ acquired: true, value }))
+        .catch(LockError, (error) => {
+          if (acquired) {
+            throw error;
+          }
+
+          return { acquired: false };
+        });
+    },
+
+    /**
+     * Run the given function `f` while holding the shared side of a read/write lock. Any number of
+     * shared holders can run concurrently, but none of them can run while an exclusive holder
+     * (see `runExclusive()`) is holding or waiting for the lock.
+     *
+     * @param {Function} f - Function to be run.
+     * @param {Object} config - See `run()`.
+     * @returns {Promise<Void>}
+     */
+    runShared: (f, config) => runWithLock(
+      f,
+      eachKey((key, lockTtl) => backend.acquire(key, { mode: 'read', ttl: lockTtl })),
+      config
+    ),
+
+    /**
+     * Run the given function `f` while holding the exclusive side of a read/write lock. The lock
+     * waits (according to the retry policy) for the shared holders to drain, new shared holders are
+     * not admitted in the meantime so the exclusive holder won't be starved.
+     *
+     * @param {Function} f - Function to be run.
+     * @param {Object} config - See `run()`.
      * @returns {Promise<Void>}
      */
-    run: (f, { lockKey, lockTtl = 1000 }) => {
-      let extendLockError = {};
-      debug('[Mutex %s] Locking resource with ttl %s ms', lockKey, lockTtl);
+    runExclusive: (f, config) => {
+      // The value has to be kept between attempts, it's how the writer claims its turn
+      const values = {};
+
+      const lockWriter = (key, lockTtl) => backend.acquire(key, {
+        mode: 'write',
+        value: values[key] = values[key] || lease.randomValue(),
+        ttl: lockTtl
+      });
+
+      // A writer giving up withdraws its intent, the new readers don't have to wait for it to expire
+      const abandon = lockKeys => Bluebird.map(
+        _.filter(lockKeys, key => values[key]),
+        key => backend.abandonWrite(key, values[key])
+      );
+
+      return runWithLock(f, _.assign(eachKey(lockWriter, true), { abandon }), config);
+    },
+
+    /**
+     * Run the given function `f` once for the concurrent callers of the same lock key, whether
+     * they're in this process or in other processes, e.g. to protect a cache from stampedes. The
+     * caller that acquires the lock runs `f` and shares its outcome through redis for `resultTtl` ms,
+     * the others wait for it and settle with the same value or rejection instead of a `LockError`.
+     * The outcome is shared as JSON, the callers of other processes receive a plain `Error` with
+     * the `name`, `message` and own properties of the original rejection.
+     *
+     * @param {Function} f - Function to be run, see `run()`.
+     * @param {Object} config
+     * @param {String} config.lockKey
+     * @param {String} [config.lockTtl] - See `run()`.
+     * @param {Number} [config.resultTtl] - How long (in ms) the outcome is shared once `f` is settled,
+     *   defaults to 5000ms. It should be longer than the retry delay so the waiters don't miss it.
+     * @param {Object} [config.retry] - Retry policy of the callers waiting for the outcome, defaults
+     *   to waiting until the outcome is available.
+     * @param {Number} [config.maxDuration] - See `run()`.
+     * @param {Number} [config.maxExtendLockCount] - See `run()`.
+     * @param {Tracer} [config.tracer] - See `run()`.
+     * @returns {Promise<*>} Resolved or rejected with the outcome of `f`.
+     */
+    runOnce: (f, config) => {
+      const { lockKey, resultTtl = 5000 } = config;
+
+      if (!_.isString(lockKey)) {
+        return Bluebird.reject(new Error('Lock key must be a string'));
+      }
+
+      if (!(resultTtl > 0)) {
+        return Bluebird.reject(new Error('Result TTL must be a positive number'));
+      }
+
+      // The callers of this process share the same run
+      if (!pendingRuns[lockKey]) {
+        pendingRuns[lockKey] = runAndShare(f, config, resultTtl).finally(() => {
+          delete pendingRuns[lockKey];
+        });
+      }
+
+      return pendingRuns[lockKey];
+    },
+
+    /**
+     * Acquire the lock(s) and return a handle to manage it manually, for critical sections that
+     * don't fit in a single function (e.g. streams or event driven flows). The lock is not
+     * extended automatically unless `handle.autoExtend()` is called, and it MUST be released
+     * with `handle.release()` (or `await using`).
+     *
+     * @param {Object} config
+     * @param {String|String[]} config.lockKey
+     * @param {String} [config.lockTtl] - Lock TTL in ms, defaults to 1000ms.
+     * @param {Object} [config.retry] - See `run()`.
+     * @param {Number} [config.maxExtendLockCount] - See `run()`.
+     * @param {Boolean} [config.fair] - See `run()`.
+     * @param {Number} [config.queueTtl] - See `run()`.
+     * @param {Tracer} [config.tracer] - See `run()`, the critical section is not traced.
+     * @param {Boolean|Object} [config.adaptiveExtension] - See `run()`, applies to `handle.autoExtend()`.
+     * @param {String} [config.label] - See `run()`.
+     * @returns {Promise<LockHandle>}
+     */
+    acquire: config => acquireHandle(exclusiveLocker(config), config),
+
+    getLockInfo,
+
+    /**
+     * Get the state of the given lock key like `getLockInfo()`, along with the metadata stored by
+     * its holders: the `hostname` and `pid` of their process, the `label` given to `run()`, when
+     * they `acquiredAt` (timestamp in ms) and their `extendCount` as of their last extension.
+     *
+     * @param {String} lockKey
+     * @returns {Promise<Object>} `{ lockKey, locked, remainingTtl, sharedHolders, holders }`, the
+     *   `holders` are sorted by acquisition time. A lock held by a client without metadata support
+     *   is reported as `locked` without `holders`.
+     */
+    inspect: inspectLock,
 
-      if (lockTtl < minimumTtl) {
-        return Bluebird.reject(new Error(`TTL must be more than ${minimumTtl} ms!`));
+    /**
+     * List the held locks whose key matches the given glob-style pattern, e.g. `invoice:*` (`*`
+     * matches any string, `?` any character and `\` escapes the next one). Only the locks with
+     * holder metadata are listed, i.e. the ones acquired by the clients of this version or later.
+     *
+     * @param {String} [pattern] - Defaults to `*`.
+     * @returns {Promise<Object[]>} The state of each lock, see `inspect()`, sorted by lock key.
+     */
+    listLocks: (pattern = '*') => {
+      if (!_.isString(pattern)) {
+        return Bluebird.reject(new Error('Pattern must be a string'));
       }
 
-      const lockKeys = (_.isArray(lockKey)) ? lockKey : [lockKey];
+      return Bluebird
+        .resolve(backend.listLocks(pattern))
+        .map(inspectLock)
+        .filter(info => info.locked);
+    },
+
+    /**
+     * Release the lock of the given key whoever holds it, e.g. to break the lock of a hung worker
+     * without waiting for its TTL. Every holder is evicted (including the `runShared()` and
+     * `semaphore()` ones), their next extension fails and `run()` cancels their function with a
+     * `LockStolenError`. The release is recorded in the audit trail of the key, see `getAuditTrail()`.
+     *
+     * The evicted holders keep running until their next extension, the fencing tokens (which keep
+     * increasing) are what protects the resource from them in the meantime.
+     *
+     * @param {String} lockKey
+     * @param {Object} options
+     * @param {String} options.reason - Why the lock is released, recorded in the audit trail.
+     * @param {String} [options.by] - Who releases the lock, e.g. the name of the operator.
+     * @returns {Promise<Object>} The audit entry: the `lockKey`, `reason`, `by`, the `hostname`
+     *   and `pid` of this process, when it's `releasedAt` (timestamp in ms), the metadata of the
+     *   evicted `holders` (see `inspect()`) and the `evicted` lock values.
+     */
+    forceRelease: (lockKey, { reason, by } = {}) => {
+      if (!_.isString(lockKey)) {
+        return Bluebird.reject(new Error('Lock key must be a string'));
+      }
 
-      if (_.isEmpty(lockKeys) || !_.every(lockKeys, _.isString)) {
-        return Bluebird.reject(new Error('Lock key must be a string or an array of string'));
+      if (!_.isString(reason) || _.isEmpty(reason)) {
+        return Bluebird.reject(new Error('The reason of the release must be given'));
       }
 
       return Bluebird
-        .map(lockKeys, key => redlock.lock(key, lockTtl))
-        .then((locks) => {
-          // Call the original function as it is
-          const deferred = Bluebird.resolve(f());
+        .resolve(backend.loadMetadata(lockKey))
+        .catch(() => [])
+        .then(holders => backend.forceRelease(lockKey, {
+          lockKey,
+          reason,
+          by,
+          hostname: os.hostname(),
+          pid: process.pid,
+          releasedAt: Date.now(),
+          holders
+        }))
+        .tap((entry) => {
+          debug('[Mutex %s] Lock force released (reason: %s)', lockKey, reason);
+          notify('forceReleased', { lockKey, lockKeys: [lockKey], entry });
 
-          const intervalTime = lockTtl - extendLockBufferOffset;
+          // The waiters fall back to polling if they miss the notification
+          Bluebird.resolve(backend.notifyRelease([lockKey])).catch(_.noop);
+        });
+    },
 
-          let extendLockCounter = 0;
+    /**
+     * Get the entries recorded by `forceRelease()` for the given lock key, the last 100 are kept.
+     *
+     * @param {String} lockKey
+     * @returns {Promise<Object[]>} The entries, the most recent first.
+     */
+    getAuditTrail: (lockKey) => {
+      if (!_.isString(lockKey)) {
+        return Bluebird.reject(new Error('Lock key must be a string'));
+      }
+
+      return Bluebird.resolve(backend.loadAuditTrail(lockKey));
+    },
+
+    /**
+     * Build a lock key from the given parts, the parts are escaped so they can't be mistaken for
+     * each other, e.g. `key('account', 42)` is `account:42`. The key is namespaced by the client
+     * like any other key.
+     *
+     * @param {...String|Number} parts
+     * @returns {String}
+     */
+    key: keys.build,
 
-          // Now we want to make sure that our function `f` will run exclusively 100%
-          // we'll run a function to extend the lock every `lockTtl - config.extendLockBufferOffset` ms
-          const interval = setInterval(() => {
-            extendLockCounter++;
+    /**
+     * Close the client, e.g. before the process exits. The new calls are rejected with
+     * `ClientClosedError` right away, so are the pending acquisitions at their next attempt. The
+     * leader elections are resigned, the running functions are given `drainTimeout` ms to settle
+     * before they're cancelled with `ClientClosedError`, then every lock that is still held
+     * (including the ones of `acquire()`) is released.
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.drainTimeout] - in ms, defaults to 0 (cancel the running functions right away).
+     * @returns {Promise<Void>} The same promise is returned when the client is closed more than once.
+     */
+    close: ({ drainTimeout = 0 } = {}) => {
+      if (closing) {
+        return closing;
+      }
 
-            if (extendLockCounter > maxExtendLockCount) {
-              // When we cancel `f` within bluebird domain, it'll call `finally` callback
-              deferred.cancel();
+      debug('[Mutex] Closing, draining %s function(s) for %s ms', activeRuns.size, drainTimeout);
 
-              extendLockError.message = `[Mutex ${lockKey}] Promise is cancelled because it's been extended for more than ${maxExtendLockCount} (extend count: ${extendLockCounter})`;
+      closing = Bluebird
+        .map(Array.from(elections), election => election.resign().catch(_.noop))
+        .then(() => waitForRuns(Array.from(activeRuns), drainTimeout))
+        .then((drained) => {
+          if (drained) {
+            return;
+          }
 
-              return;
-            }
+          const runs = Array.from(activeRuns);
 
-            debug(
-              '[Mutex %s] Start extending lock TTL for %s ms within interval %s',
-              lockKey,
-              lockTtl,
-              intervalTime
-            );
+          debug('[Mutex] Cancelling %s function(s) still running after %s ms', runs.length, drainTimeout);
 
-            return Bluebird
-              .map(locks, lock => lock.extend(lockTtl))
-              .then(() => {
-                debug('[Mutex %s] Done extending lock TTL for %s ms', lockKey, lockTtl);
-              })
-              .catch(error => {
-                // If error occurs at this point then there's a possible race condition
-                // because we failed to extend the lock.
-                // To prevent race condition, we'll try to cancel the promise.
-                deferred.cancel();
-
-                extendLockError = error;
-              });
-          }, intervalTime);
-
-          // Finally will be called regardless of `deferred` got cancelled
-          return deferred.finally(() => {
-            debug(`[Mutex %s] Unlocking resource with TTL %s ms`, lockKey, lockTtl);
-
-            clearInterval(interval);
-
-            return Bluebird
-              .map(locks, lock => lock.unlock())
-              .then(() => {
-                debug(`[Mutex %s] Done unlocking resource with TTL %s ms`, lockKey, lockTtl);
-              })
-              .catch((error) => {
-                const unlockError = new UnlockError(`[Mutex ${lockKey}] Error when unlocking resource, no worries we\'ve set a TTL ${lockTtl} ms, it\'ll unlock automatically. Error ${error}`);
-                unlockError.stack = error.stack;
-
-                throw unlockError;
-              })
-              .then(() => {
-                // We need to throw an error if it's cancelled.
-                // Otherwise, the promise will hang because the `.then` handler that's
-                // attached after `mutex.run` won't be called, one way to make sure that
-                // it won't hang is by throwing an error so the `.catch` handler will
-                // be called.
-                if (deferred.isCancelled()) {
-                  const error = new ExtendLockError(extendLockError.message);
-                  error.stack = extendLockError.stack || error.stack;
-
-                  throw error;
-                }
-              });
-          });
+          runs.forEach(run => run.cancel(new ClientClosedError(
+            `[Mutex] Promise is cancelled because the mutex client is closed and it's still running after ${drainTimeout} ms`
+          )));
+
+          return waitForRuns(runs, Infinity);
         })
+        .then(() => Bluebird.map(Array.from(heldHandles), handle => handle.release().catch((error) => {
+          debug('[Mutex] Error when releasing lock on close: %s', error);
+        })))
+        .then(_.noop);
+
+      return closing;
+    },
+
+    /**
+     * Campaign for the leadership of the given key, e.g. to make sure exactly one instance is the
+     * active scheduler. The leader renews the lock indefinitely while the process is healthy, and
+     * campaigns again after losing it. See `LeaderElection` for the events.
+     *
+     * @param {Object} config
+     * @param {String} config.key
+     * @param {Number} [config.ttl] - Lock TTL in ms, defaults to 10000ms. The leadership of a
+     *   crashed leader is taken over once it expires.
+     * @param {Number} [config.campaignInterval] - Delay between the campaigns of the candidates in ms,
+     *   defaults to half of the TTL.
+     * @param {String[]} [config.signals] - The signals on which the leadership is resigned, defaults
+     *   to `['SIGTERM']`.
+     * @param {Boolean|Object} [config.adaptiveExtension] - See `run()`.
+     * @param {String} [config.label] - See `run()`.
+     * @returns {LeaderElection}
+     */
+    leaderElection: ({
+      key,
+      ttl = 10000,
+      campaignInterval = Math.round(ttl / 2),
+      signals = ['SIGTERM'],
+      adaptiveExtension,
+      label
+    }) => {
+      if (closing) {
+        throw closedError();
+      }
+
+      if (!_.isString(key)) {
+        throw new Error('Leader election key must be a string');
+      }
+
+      if (ttl < minimumTtl) {
+        throw new Error(`TTL must be more than ${minimumTtl} ms!`);
+      }
+
+      const election = new LeaderElection({
+        acquire: (lockKey, lockTtl) => acquireHandle(eachKey(lockExclusively, true), {
+          lockKey,
+          lockTtl,
+          retry: { maxAttempts: 1 },
+          // The leadership is renewed for as long as the process is healthy
+          maxExtendLockCount: Infinity,
+          adaptiveExtension,
+          label
+        }),
+        key,
+        ttl,
+        campaignInterval,
+        signals,
+        debug,
+        onResign: () => elections.delete(election)
+      });
+
+      elections.add(election);
+
+      return election;
+    },
+
+    /**
+     * Whether the given lock key is held, see `getLockInfo()`.
+     *
+     * @param {String} lockKey
+     * @returns {Promise<Boolean>}
+     */
+    isLocked: lockKey => getLockInfo(lockKey).then(info => info.locked),
+
+    /**
+     * Run the given function `f` while holding one of the `limit` slots of a counting semaphore,
+     * so that up to `limit` functions can use the resource concurrently. The slot is extended and
+     * released the same way `run()` does, a slot of a crashed holder is freed once its TTL expires.
+     *
+     * @param {Function} f - Function to be run.
+     * @param {Object} config
+     * @param {String} config.key
+     * @param {Number} config.limit - The maximum number of concurrent holders.
+     * @param {Number} [config.ttl] - Slot TTL in ms, defaults to 1000ms.
+     * @param {Object} [config.retry] - See `run()`.
+     * @param {Number} [config.maxDuration] - See `run()`.
+     * @param {Number} [config.maxExtendLockCount] - See `run()`.
+     * @param {Tracer} [config.tracer] - See `run()`.
+     * @param {Boolean|Object} [config.adaptiveExtension] - See `run()`.
+     * @param {String} [config.label] - See `run()`.
+     * @returns {Promise<Void>}
+     */
+    semaphore: (f, {
+      key,
+      limit,
+      ttl,
+      retry: retryPolicy,
+      maxDuration,
+      maxExtendLockCount: extendLockLimit,
+      tracer,
+      adaptiveExtension,
+      label
+    }) => {
+      if (!_.isString(key)) {
+        return Bluebird.reject(new Error('Semaphore key must be a string'));
+      }
+
+      if (!_.isInteger(limit) || limit < 1) {
+        return Bluebird.reject(new Error('Semaphore limit must be a positive integer'));
+      }
+
+      return runWithLock(
+        f,
+        eachKey((slotKey, slotTtl) => backend.acquire(slotKey, { mode: 'semaphore', ttl: slotTtl, limit })),
+        {
+          lockKey: key,
+          lockTtl: ttl,
+          retry: retryPolicy,
+          maxDuration,
+          maxExtendLockCount: extendLockLimit,
+          tracer,
+          adaptiveExtension,
+          label
+        }
+      );
     }
-  };
+  });
 };
-
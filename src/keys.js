@@ -0,0 +1,175 @@
+const _ = require('lodash');
+
+/**
+ * The separator of the parts of a key.
+ */
+const SEPARATOR = ':';
+
+/**
+ * Escape the separator, the hash tag braces and the escape character itself in a part of a key.
+ *
+ * @param {String|Number} part
+ * @returns {String}
+ */
+const escape = part => String(part).replace(/[\\:{}]/g, '\\$&');
+
+/**
+ * Build a key from the given parts, e.g. `build('account', 42)` is `account:42`. The parts are
+ * escaped so they can't be mistaken for each other (`build('a:b', 'c')` and `build('a', 'b:c')`
+ * are different keys) nor change the hash tag of the key.
+ *
+ * @param {...String|Number} parts
+ * @returns {String}
+ */
+const build = exports.build = (...parts) => {
+  if (_.isEmpty(parts) || !_.every(parts, part => _.isString(part) || _.isFinite(part))) {
+    throw new Error('Key parts must be strings or numbers');
+  }
+
+  return _.map(parts, escape).join(SEPARATOR);
+};
+
+/**
+ * The strings surrounding every lock key once it's namespaced, see `namespaceOf()`.
+ *
+ * @private
+ * @param {Object} options - See `namespaceOf()`.
+ * @returns {String[]} `[head, tail]`
+ */
+const affixesOf = ({ namespace, keyPrefix = '', hashTag = false }) => {
+  if (_.isNil(namespace)) {
+    // A hash tag per lock key would spread the keys of a multi-key lock over the slots
+    if (hashTag) {
+      throw new Error('The hash tag requires a namespace');
+    }
+
+    return [keyPrefix, ''];
+  }
+
+  const namespaceKey = _.isArray(namespace) ? build(...namespace) : namespace;
+
+  return [`${keyPrefix}${hashTag ? `{${namespaceKey}}` : namespaceKey}${SEPARATOR}`, ''];
+};
+
+/**
+ * Create the function turning a lock key into the key stored in the backend.
+ *
+ * @param {Object} options
+ * @param {String|String[]} [options.namespace] - Prepended to every key with the separator, the
+ *   parts of an array are joined with `build()`.
+ * @param {String} [options.keyPrefix] - Prepended to every key as is, e.g. `myapp:production:`.
+ * @param {Boolean} [options.hashTag] - Wrap the namespace in a Redis Cluster hash tag, so the keys
+ *   of a multi-key lock are stored in the same slot. It requires a `namespace`.
+ * @returns {Function} Receives the lock key and returns the stored key.
+ * @throws {Error} When `hashTag` is given without a `namespace`.
+ */
+exports.namespaceOf = (options) => {
+  const [head, tail] = affixesOf(options);
+
+  return lockKey => `${head}${lockKey}${tail}`;
+};
+
+/**
+ * Create the inverse of `namespaceOf()`, turning a stored key back into the lock key.
+ *
+ * @param {Object} options - See `namespaceOf()`.
+ * @returns {Function} Receives the stored key and returns the lock key, or `null` when the key
+ *   is not in the namespace.
+ */
+exports.lockKeyOf = (options) => {
+  const [head, tail] = affixesOf(options);
+
+  return (storedKey) => {
+    if (storedKey.length < head.length + tail.length || !_.startsWith(storedKey, head) || !_.endsWith(storedKey, tail)) {
+      return null;
+    }
+
+    return storedKey.slice(head.length, storedKey.length - tail.length);
+  };
+};
+
+/**
+ * The hash tag of the given key, the part Redis Cluster hashes to pick the slot of the key: the
+ * content between the first `{` and the first `}` after it, when it's not empty.
+ *
+ * @param {String} key
+ * @returns {String|null}
+ */
+const hashTagOf = exports.hashTagOf = (key) => {
+  const start = key.indexOf('{');
+  const end = (start === -1) ? -1 : key.indexOf('}', start + 1);
+
+  return (end > start + 1) ? key.slice(start + 1, end) : null;
+};
+
+/**
+ * The key storing the data kept alongside the given lock key (e.g. the readers of a read/write
+ * lock), in the same Redis Cluster slot as the lock key so a script can touch both. A lock key
+ * with a hash tag is kept as is, otherwise it's wrapped in one: the companions of `account:42`
+ * are `{account:42}:<suffix>`. Hence `abc` and `{abc}` share their companion keys, only one of
+ * them should be used as a lock key. A hash tag can't contain `}`, so a lock key with a `}` but
+ * no hash tag can't be given one, its companions are only in the same slot by chance.
+ *
+ * @param {String} lockKey
+ * @param {String} suffix
+ * @returns {String}
+ */
+exports.companionKeyOf = (lockKey, suffix) => {
+  const taggedKey = (hashTagOf(lockKey) === null && !_.includes(lockKey, '}')) ? `{${lockKey}}` : lockKey;
+
+  return `${taggedKey}${SEPARATOR}${suffix}`;
+};
+
+/**
+ * Escape the characters with a special meaning in the glob-style patterns, both in `matcherOf()`
+ * and in redis' `SCAN` patterns, so the string only matches itself.
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+const escapeGlob = exports.escapeGlob = string => string.replace(/[\\*?[\]]/g, '\\$&');
+
+/**
+ * Create the predicate matching the keys against a glob-style pattern, the same as redis' `SCAN`
+ * patterns: `*` matches any string, `?` any character and `\` escapes the next character.
+ *
+ * @param {String} pattern
+ * @returns {Function} Receives a key and returns whether it matches.
+ */
+exports.matcherOf = (pattern) => {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      i++;
+      source += _.escapeRegExp(pattern[i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else {
+      source += _.escapeRegExp(char);
+    }
+  }
+
+  // `[\s\S]` matches the line terminators as well, the `s` flag isn't available on Node.js 8
+  const regExp = new RegExp(`^${source}$`);
+
+  return key => regExp.test(key);
+};
+
+/**
+ * Create the function turning a glob-style pattern of lock keys (see `matcherOf()`) into the
+ * pattern of the stored keys. The namespace is escaped, so it only matches itself even when it
+ * holds `\`, `*`, `?`, `[` or `]` (e.g. the escaped separator of `build()`).
+ *
+ * @param {Object} options - See `namespaceOf()`.
+ * @returns {Function} Receives the pattern and returns the pattern of the stored keys.
+ */
+exports.patternOf = (options) => {
+  const [head, tail] = _.map(affixesOf(options), escapeGlob);
+
+  return pattern => `${head}${pattern}${tail}`;
+};
@@ -0,0 +1,178 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const EventEmitter = require('events');
+const util = require('util');
+
+const { LockError } = require('./errors');
+
+/**
+ * Elect a single leader among the processes campaigning for the same key. The leader holds the
+ * lock of the key and renews it for as long as the process is healthy, the other candidates
+ * campaign every `campaignInterval` ms and take over once the lock is released or expired.
+ *
+ * It emits `elected` with `{ fencingToken, signal }` when this process becomes the leader,
+ * `demoted` (with the `ExtendLockError` when the leadership is lost rather than resigned) when
+ * it's no longer the leader, and `error` when campaigning fails unexpectedly (only when `error` is
+ * listened to, the failure is just logged otherwise). A demoted leader campaigns again unless it
+ * resigned.
+ *
+ * @constructor
+ * @param {Object} options
+ * @param {Function} options.acquire - Function that attempts the lock once, receives the lock
+ *   key and TTL and resolves to a `LockHandle`.
+ * @param {String} options.key
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} options.campaignInterval - Delay between the campaigns in ms.
+ * @param {String[]} options.signals - The signals on which the leadership is resigned.
+ * @param {Function} options.debug
+ * @param {Function} [options.onResign] - Called once the election is resigned.
+ */
+function LeaderElection({ acquire, key, ttl, campaignInterval, signals, debug, onResign = _.noop }) {
+  EventEmitter.call(this);
+
+  this.acquire = acquire;
+  this.key = key;
+  this.ttl = ttl;
+  this.campaignInterval = campaignInterval;
+  this.signals = signals;
+  this.debug = debug;
+  this.onResign = onResign;
+
+  this.handle = null;
+  this.timeout = null;
+  this.resigned = false;
+  this.onSignal = signal => this.resignOnSignal(signal);
+
+  this.signals.forEach(signal => process.on(signal, this.onSignal));
+
+  // Let the caller listen to the events before the first campaign
+  this.timeout = setTimeout(() => this.campaign(), 0);
+}
+
+util.inherits(LeaderElection, EventEmitter);
+
+/**
+ * Whether this process is the leader.
+ *
+ * @returns {Boolean}
+ */
+LeaderElection.prototype.isLeader = function isLeader() {
+  return !!this.handle && this.handle.isHeld();
+};
+
+/**
+ * Attempt to become the leader, and schedule the next campaign when it fails.
+ *
+ * @private
+ */
+LeaderElection.prototype.campaign = function campaign() {
+  this.timeout = null;
+
+  return Bluebird
+    .resolve(this.acquire(this.key, this.ttl))
+    .then((handle) => {
+      if (this.resigned) {
+        return handle.release();
+      }
+
+      this.debug('[Leader %s] Elected', this.key);
+
+      this.handle = handle;
+      handle.once('lost', error => this.demote(error));
+      handle.autoExtend();
+
+      this.emit('elected', { fencingToken: handle.fencingToken, signal: handle.signal });
+    })
+    .catch(LockError, () => {
+      this.scheduleCampaign();
+    })
+    .catch((error) => {
+      this.debug('[Leader %s] Error when campaigning: %s', this.key, error);
+      this.scheduleCampaign();
+
+      // An unhandled `error` event would throw from this handler and surface as an unhandled rejection
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+};
+
+/**
+ * Schedule the next campaign, unless the leadership is resigned.
+ *
+ * @private
+ */
+LeaderElection.prototype.scheduleCampaign = function scheduleCampaign() {
+  if (!this.resigned) {
+    this.timeout = setTimeout(() => this.campaign(), this.campaignInterval);
+  }
+};
+
+/**
+ * Step down after the leadership is lost, and campaign again.
+ *
+ * @private
+ * @param {ExtendLockError} error
+ */
+LeaderElection.prototype.demote = function demote(error) {
+  const handle = this.handle;
+
+  this.debug('[Leader %s] Demoted: %s', this.key, error);
+
+  this.handle = null;
+  this.scheduleCampaign();
+  this.emit('demoted', error);
+
+  // The lock is most likely gone already, releasing it just makes sure it's not held anymore
+  return handle.release().catch(_.noop);
+};
+
+/**
+ * Stop campaigning and release the leadership if it's held. A resigned election can't be
+ * restarted, create a new one instead.
+ *
+ * @returns {Promise<Void>} Rejected with `UnlockError` when the lock can't be released.
+ */
+LeaderElection.prototype.resign = function resign() {
+  const handle = this.handle;
+
+  if (!this.resigned) {
+    this.onResign();
+  }
+
+  this.resigned = true;
+  this.handle = null;
+  clearTimeout(this.timeout);
+  this.signals.forEach(signal => process.removeListener(signal, this.onSignal));
+
+  if (!handle) {
+    return Bluebird.resolve();
+  }
+
+  this.debug('[Leader %s] Resigning', this.key);
+
+  return handle.release().finally(() => {
+    this.emit('demoted');
+  });
+};
+
+/**
+ * Resign on the given signal, then re-raise it when nobody else handles it so the process still
+ * exits the way it would have.
+ *
+ * @private
+ * @param {String} signal
+ */
+LeaderElection.prototype.resignOnSignal = function resignOnSignal(signal) {
+  this.resign()
+    .catch((error) => {
+      this.debug('[Leader %s] Error when resigning on %s: %s', this.key, signal, error);
+    })
+    .then(() => {
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    });
+};
+
+module.exports = LeaderElection;
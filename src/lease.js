@@ -0,0 +1,339 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const crypto = require('crypto');
+
+const { LockError } = require('./errors');
+const keys = require('./keys');
+const scripts = require('./scripts');
+
+/**
+ * Generate a random lease value, identifying the holder of a lease.
+ *
+ * @returns {String}
+ */
+exports.randomValue = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Evaluate a Lua script on every redis client.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} script
+ * @param {String[]} keys
+ * @param {Array} args
+ * @returns {Promise<Array>} The response of every client, `null` for the clients that failed.
+ */
+const evaluate = exports.evaluate = (clients, script, keys, args) => Bluebird.map(clients, client => new Bluebird((resolve) => {
+  client.eval(script, keys.length, ...keys, ...args, (error, response) => resolve(error ? null : response));
+}));
+
+/**
+ * The number of clients that have to agree for an operation to succeed.
+ *
+ * @param {Array<Redis>} clients
+ * @returns {Number}
+ */
+const quorumOf = clients => Math.floor(clients.length / 2) + 1;
+
+/**
+ * The companion keys of a lock key, stored in the same Redis Cluster slot (see
+ * `keys.companionKeyOf()`) so the scripts can touch them along with the lock key.
+ *
+ * @param {String} lockKey
+ * @returns {String}
+ */
+const readersKeyOf = exports.readersKeyOf = lockKey => keys.companionKeyOf(lockKey, 'readers');
+const writerIntentKeyOf = exports.writerIntentKeyOf = lockKey => keys.companionKeyOf(lockKey, 'writer-intent');
+const fencingKeyOf = lockKey => keys.companionKeyOf(lockKey, 'fencing');
+
+/**
+ * A lease acquired with a Lua script on a quorum of redis clients, the script based counterpart
+ * of redlock's `Lock`. It exposes the same `extend()` and `unlock()` methods so the leases can be
+ * used interchangeably with redlock's locks.
+ *
+ * @constructor
+ * @param {Array<Redis>} clients
+ * @param {Object} kind - See `readLock()`, `writeLock()` and `semaphore()`.
+ * @param {String} value - Value identifying the holder.
+ * @param {Number} expiration - Timestamp (in ms) when the lease is no longer valid.
+ * @param {Number} driftFactor - See redlock's `driftFactor`.
+ */
+function Lease(clients, kind, value, expiration, driftFactor) {
+  this.clients = clients;
+  this.kind = kind;
+  this.resource = kind.resource;
+  this.value = value;
+  this.expiration = expiration;
+  this.driftFactor = driftFactor;
+}
+
+/**
+ * Extend the lease by the given TTL.
+ *
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Lease>}
+ */
+Lease.prototype.extend = function extend(ttl) {
+  if (this.expiration < Date.now()) {
+    return Bluebird.reject(new LockError(`Cannot extend lease on resource "${this.resource}" because the lease has already expired.`, 0));
+  }
+
+  const start = Date.now();
+
+  return evaluate(this.clients, this.kind.extendScript, this.kind.keys, [this.value, ttl])
+    .then((responses) => {
+      const votes = _.filter(responses, response => Number(response) > 0).length;
+
+      if (votes < quorumOf(this.clients)) {
+        throw new LockError(`Unable to extend the lease on resource "${this.resource}".`, 1);
+      }
+
+      this.expiration = start + ttl - drift(this.driftFactor, ttl);
+
+      return this;
+    });
+};
+
+/**
+ * Release the lease from every client still persisting it.
+ *
+ * @returns {Promise<Void>}
+ */
+Lease.prototype.unlock = function unlock() {
+  this.expiration = 0;
+
+  return evaluate(this.clients, this.kind.unlockScript, this.kind.keys, [this.value, 0])
+    .then((responses) => {
+      const votes = _.reject(responses, _.isNull).length;
+
+      if (votes < quorumOf(this.clients)) {
+        throw new LockError(`Unable to fully release the lease on resource "${this.resource}".`);
+      }
+    });
+};
+
+/**
+ * Clock drift allowance of the given TTL, same as redlock's.
+ *
+ * @param {Number} driftFactor
+ * @param {Number} ttl
+ * @returns {Number}
+ */
+const drift = (driftFactor, ttl) => Math.round(driftFactor * ttl) + 2;
+
+/**
+ * Acquire a lease of the given kind once, without retrying.
+ *
+ * @param {Array<Redis>} clients
+ * @param {Object} kind - See `readLock()`, `writeLock()` and `semaphore()`.
+ * @param {Object} options
+ * @param {String} options.value - Value identifying the holder.
+ * @param {Number} options.ttl - Lease TTL in ms.
+ * @param {Number} [options.driftFactor] - See redlock's `driftFactor`, defaults to 0.01.
+ * @returns {Promise<Lease>} Rejected with `LockError` when the lease is contended.
+ */
+exports.acquire = (clients, kind, { value, ttl, driftFactor = 0.01 }) => {
+  const start = Date.now();
+
+  return evaluate(clients, kind.lockScript, kind.keys, [value, ttl, ...kind.lockArgs])
+    .then((responses) => {
+      const votes = _.filter(responses, response => Number(response) > 0).length;
+      const lease = new Lease(clients, kind, value, start + ttl - drift(driftFactor, ttl), driftFactor);
+
+      if (votes >= quorumOf(clients) && lease.expiration > Date.now()) {
+        return lease;
+      }
+
+      // Remove the lease from the clients that voted for it
+      return lease
+        .unlock()
+        .catch(_.noop)
+        .then(() => {
+          throw new LockError(`Failed to acquire the lease on resource "${kind.resource}".`, 1);
+        });
+    });
+};
+
+/**
+ * Generate the next fencing token of an exclusive lock (a redlock `Lock` or a write lock `Lease`),
+ * the token is stored in `lock.fencingToken`. The tokens of a key increase monotonically, so
+ * the storage touched within the critical section can reject the writes of a stale holder. The
+ * counter is stored in the slot of the lock key and never expires, see `scripts.FENCE`.
+ *
+ * The monotonicity is only guaranteed with a single client: with several ones, each client keeps
+ * its own counter and the greatest token of the quorum can be lower than the previous token when
+ * the next quorum is made of other clients (e.g. counters at 5, 3 and 3 give 4 after a 5).
+ *
+ * @param {Array<Redis>} clients
+ * @param {Lock|Lease} lock
+ * @returns {Promise<Lock|Lease>} Rejected with `LockError` when the lock is no longer held.
+ */
+exports.fence = (clients, lock) => evaluate(clients, scripts.FENCE, [lock.resource, fencingKeyOf(lock.resource)], [lock.value])
+  .then((responses) => {
+    const tokens = _.filter(_.map(responses, Number), token => token > 0);
+
+    if (tokens.length < quorumOf(clients)) {
+      throw new LockError(`Failed to generate the fencing token of resource "${lock.resource}".`, 1);
+    }
+
+    lock.fencingToken = _.max(tokens);
+
+    return lock;
+  });
+
+/**
+ * The keys of a fair lock, see `scripts.FAIR_LOCK`.
+ *
+ * @param {String[]} lockKeys
+ * @returns {String[]}
+ */
+const fairLockKeys = lockKeys => _.flatMap(lockKeys, lockKey => [
+  lockKey,
+  keys.companionKeyOf(lockKey, 'queue'),
+  keys.companionKeyOf(lockKey, 'queue:expiration'),
+  keys.companionKeyOf(lockKey, 'queue:counter')
+]);
+
+/**
+ * Acquire the given lock keys once in arrival order: the waiter is enqueued on every key and
+ * granted the locks once every waiter ahead of it is done. The waiter has to keep calling this
+ * (with the same value) to keep its place in the queue, an entry that isn't refreshed within
+ * `queueTtl` is dropped.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String[]} lockKeys
+ * @param {Object} options
+ * @param {String} options.value - Value identifying the waiter, it becomes the value of the locks.
+ * @param {Number} options.ttl - Lock TTL in ms.
+ * @param {Number} options.queueTtl - TTL of the queue entry in ms.
+ * @param {Number} [options.driftFactor] - See redlock's `driftFactor`, defaults to 0.01.
+ * @returns {Promise<Lease[]>} Rejected with `LockError` carrying the `queuePosition` (the number
+ *   of waiters and holders ahead) when the locks are not granted yet.
+ */
+exports.acquireFair = (clients, lockKeys, { value, ttl, queueTtl, driftFactor = 0.01 }) => {
+  const start = Date.now();
+
+  return evaluate(clients, scripts.FAIR_LOCK, fairLockKeys(lockKeys), [value, ttl, queueTtl])
+    .then((responses) => {
+      const votes = _.filter(responses, response => response && Number(response[0]) === 1).length;
+      const leases = _.map(lockKeys, lockKey => new Lease(
+        clients,
+        exports.writeLock(lockKey),
+        value,
+        start + ttl - drift(driftFactor, ttl),
+        driftFactor
+      ));
+
+      if (votes >= quorumOf(clients) && leases[0].expiration > Date.now()) {
+        return leases;
+      }
+
+      const queuePosition = _.max(_.map(_.compact(responses), response => Number(response[1])));
+
+      // Remove the locks from the clients that granted them, the waiter stays in the queues
+      return Bluebird
+        .map(leases, fairLease => fairLease.unlock().catch(_.noop))
+        .then(() => {
+          const error = new LockError(`Waiting in the queue of resource "${lockKeys}" at position ${queuePosition}.`, 1);
+          error.queuePosition = queuePosition;
+
+          throw error;
+        });
+    });
+};
+
+/**
+ * Remove the waiter from the queues of the given lock keys, so the waiters behind it don't
+ * have to wait for its entry to expire.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String[]} lockKeys
+ * @param {String} value - Value identifying the waiter.
+ * @returns {Promise<Void>}
+ */
+exports.dequeueFair = (clients, lockKeys, value) => evaluate(clients, scripts.FAIR_DEQUEUE, fairLockKeys(lockKeys), [value])
+  .then(_.noop);
+
+/**
+ * Inspect the given lock key, whether it's held exclusively (by `run()`, `runExclusive()` or a
+ * semaphore) or shared (by `runShared()`). The lock is considered held as long as a quorum of
+ * clients agrees on it.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @returns {Promise<Object>} `{ locked, remainingTtl, sharedHolders }`, `remainingTtl` in ms is
+ *   0 when the lock is not held.
+ */
+exports.inspect = (clients, lockKey) => evaluate(clients, scripts.LOCK_INFO, [lockKey, readersKeyOf(lockKey)], [])
+  .then((responses) => {
+    const quorum = quorumOf(clients);
+    // The values that at least a quorum of clients agree on
+    const quorumValue = values => _.get(_.orderBy(values, _.identity, 'desc'), quorum - 1, 0);
+
+    const remainingTtl = quorumValue(_.map(_.compact(responses), response => Number(response[0])));
+    const sharedHolders = quorumValue(_.map(_.compact(responses), response => Number(response[1])));
+
+    return {
+      locked: remainingTtl > 0,
+      remainingTtl,
+      sharedHolders: (remainingTtl > 0) ? sharedHolders : 0
+    };
+  });
+
+/**
+ * The shared side of a read/write lock.
+ *
+ * @param {String} lockKey
+ * @returns {Object}
+ */
+exports.readLock = lockKey => ({
+  resource: lockKey,
+  keys: [readersKeyOf(lockKey), lockKey, writerIntentKeyOf(lockKey)],
+  lockScript: scripts.READ_LOCK,
+  lockArgs: [],
+  extendScript: scripts.HOLDER_EXTEND,
+  unlockScript: scripts.HOLDER_UNLOCK
+});
+
+/**
+ * The exclusive side of a read/write lock. The lock is stored in `lockKey` itself, so it's
+ * mutually exclusive with the lock acquired by `run()` as well.
+ *
+ * @param {String} lockKey
+ * @returns {Object}
+ */
+exports.writeLock = lockKey => ({
+  resource: lockKey,
+  keys: [lockKey, readersKeyOf(lockKey), writerIntentKeyOf(lockKey)],
+  lockScript: scripts.WRITE_LOCK,
+  lockArgs: [],
+  extendScript: scripts.EXTEND,
+  unlockScript: scripts.UNLOCK
+});
+
+/**
+ * Withdraw the intent registered by a writer that gave up waiting for the readers to drain (see
+ * `writeLock()`), so the new readers don't have to wait for the intent to expire.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @param {String} value - Value identifying the writer.
+ * @returns {Promise<Void>}
+ */
+exports.abandonWrite = (clients, lockKey, value) => evaluate(clients, scripts.ABANDON_WRITE, [writerIntentKeyOf(lockKey)], [value])
+  .then(_.noop);
+
+/**
+ * A slot of a counting semaphore, admitting up to `limit` concurrent holders.
+ *
+ * @param {String} key
+ * @param {Number} limit
+ * @returns {Object}
+ */
+exports.semaphore = (key, limit) => ({
+  resource: key,
+  keys: [key],
+  lockScript: scripts.SEMAPHORE_LOCK,
+  lockArgs: [limit],
+  extendScript: scripts.HOLDER_EXTEND,
+  unlockScript: scripts.HOLDER_UNLOCK
+});
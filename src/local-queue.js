@@ -0,0 +1,171 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+
+const { LockError } = require('./errors');
+
+/**
+ * In-process registry of the lock keys held or being acquired by this process. The callers of
+ * the same process queue locally behind the current holder in arrival order, so only one
+ * acquisition per lock key is in flight against redis at any time.
+ *
+ * @constructor
+ */
+function LocalQueue() {
+  // Lock key -> { holder: Waiter, waiters: Waiter[] }
+  this.entries = {};
+}
+
+/**
+ * Queue a caller for the given lock keys.
+ *
+ * @param {String[]} lockKeys - The normalized lock keys.
+ * @returns {Waiter}
+ */
+LocalQueue.prototype.enqueue = function enqueue(lockKeys) {
+  const waiter = new Waiter(this, lockKeys);
+
+  lockKeys.forEach((lockKey) => {
+    this.entries[lockKey] = this.entries[lockKey] || { holder: null, waiters: [] };
+    this.entries[lockKey].waiters.push(waiter);
+  });
+
+  return waiter;
+};
+
+/**
+ * A caller waiting in the local queue, it holds its lock keys locally from the moment it's
+ * allowed to acquire them from redis until it leaves.
+ *
+ * @constructor
+ * @param {LocalQueue} queue
+ * @param {String[]} lockKeys
+ */
+function Waiter(queue, lockKeys) {
+  this.queue = queue;
+  this.lockKeys = lockKeys;
+  this.handle = null;
+  this.listener = null;
+}
+
+/**
+ * Whether the waiter blocks the others, a holder whose lock expired without being released
+ * doesn't block anyone.
+ *
+ * @private
+ * @returns {Boolean}
+ */
+Waiter.prototype.isActive = function isActive() {
+  return !this.handle || this.handle.isHeld();
+};
+
+/**
+ * Hold every lock key locally, unless one of them is held by another caller or an earlier caller
+ * is still waiting for it.
+ *
+ * @returns {Promise<Void>} Rejected with `LockError` carrying the locally `contendedKeys`.
+ */
+Waiter.prototype.claim = function claim() {
+  const contendedKeys = _.filter(this.lockKeys, (lockKey) => {
+    const { holder, waiters } = this.queue.entries[lockKey];
+
+    return (holder && holder !== this && holder.isActive()) || waiters[0] !== this;
+  });
+
+  if (!_.isEmpty(contendedKeys)) {
+    const error = new LockError(`The resource "${contendedKeys}" is being locked by this process.`, 1);
+    error.contendedKeys = contendedKeys;
+
+    return Bluebird.reject(error);
+  }
+
+  this.lockKeys.forEach((lockKey) => {
+    const entry = this.queue.entries[lockKey];
+
+    entry.holder = this;
+    entry.waiters.shift();
+  });
+
+  return Bluebird.resolve();
+};
+
+/**
+ * Give the lock keys up after a failed acquisition, the waiter keeps its place in the queue.
+ */
+Waiter.prototype.unclaim = function unclaim() {
+  this.lockKeys.forEach((lockKey) => {
+    const entry = this.queue.entries[lockKey];
+
+    if (entry.holder === this) {
+      entry.holder = null;
+      entry.waiters.unshift(this);
+    }
+  });
+};
+
+/**
+ * Mark the lock keys as held with the given handle, until the waiter leaves.
+ *
+ * @param {LockHandle} handle
+ */
+Waiter.prototype.hold = function hold(handle) {
+  this.handle = handle;
+};
+
+/**
+ * Wait until the waiter gets to the front of the queue of one of its lock keys or the delay
+ * elapses, whichever comes first.
+ *
+ * @param {Number} delay - in ms.
+ * @returns {Promise<Void>}
+ */
+Waiter.prototype.wait = function wait(delay) {
+  return new Bluebird((resolve) => {
+    const timeout = setTimeout(resolve, delay);
+
+    this.listener = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+  })
+  .finally(() => {
+    this.listener = null;
+  });
+};
+
+/**
+ * Leave the queue, giving the held lock keys up.
+ */
+Waiter.prototype.leave = function leave() {
+  this.lockKeys.forEach((lockKey) => {
+    const entry = this.queue.entries[lockKey];
+
+    if (entry.holder === this) {
+      entry.holder = null;
+    }
+
+    entry.waiters = _.without(entry.waiters, this);
+
+    if (!entry.holder && _.isEmpty(entry.waiters)) {
+      delete this.queue.entries[lockKey];
+    }
+  });
+
+  this.notify();
+};
+
+/**
+ * Wake the first waiter of every lock key up, the others can't claim the keys before it anyway.
+ *
+ * @private
+ */
+Waiter.prototype.notify = function notify() {
+  this.lockKeys.forEach((lockKey) => {
+    const waiter = _.get(this.queue.entries[lockKey], 'waiters[0]');
+
+    if (waiter && waiter.listener) {
+      waiter.listener();
+    }
+  });
+};
+
+module.exports = LocalQueue;
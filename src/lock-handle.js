@@ -0,0 +1,462 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const EventEmitter = require('events');
+const util = require('util');
+
+const { ExtendLockError, LockError, UnlockError } = require('./errors');
+const tracing = require('./tracing');
+
+// `Symbol.asyncDispose` is only available on recent runtimes, Node.js polyfills it with this symbol
+const asyncDispose = Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose');
+
+/**
+ * Defaults of the `adaptiveExtension` option.
+ */
+const ADAPTIVE_EXTENSION_DEFAULTS = {
+  extendAt: 0.5,
+  driftFactor: 0.01,
+  retryDelay: 50
+};
+
+// The safety margin of the adaptive extension is derived from the last round trips only
+const ROUND_TRIP_SAMPLE_SIZE = 10;
+
+/**
+ * A handle of acquired lock(s), it can be extended and released manually or extended periodically
+ * with `autoExtend()`. It emits `lost` with an `ExtendLockError` when the lock can no longer be
+ * extended, either because an extension failed or because it's been extended more than
+ * `maxExtendLockCount` times (held for more than `lockTtl * maxExtendLockCount` ms with
+ * `adaptiveExtension`). It also emits `extended` and `extendFailed` (with the error) on every
+ * extension, and `released` once `release()` is settled (with the `UnlockError` when it failed).
+ *
+ * The fencing tokens of the exclusive locks are exposed in `fencingTokens` (by lock key), and in
+ * `fencingToken` when a single key is locked. `signal` is an `AbortSignal` aborted once the lock
+ * is lost, so native promise based code can stop cooperatively (on the runtimes providing
+ * `AbortController`, its `reason` is the `ExtendLockError` from Node.js 16.14).
+ *
+ * @constructor
+ * @param {Object} options
+ * @param {Array<Lock|Lease>} options.locks
+ * @param {String[]} options.lockKeys - The normalized lock keys, in the same order as `locks`.
+ * @param {String|String[]} options.lockKey
+ * @param {Number} options.lockTtl - Lock TTL in ms.
+ * @param {Number} options.extendLockBufferOffset - The offset before TTL expire (when we want to extend the TTL)
+ * @param {Number} options.maxExtendLockCount - The maximum limit that lock can be extended
+ * @param {Function} options.debug
+ * @param {Function} [options.onRelease] - Called with `lockKeys` once the locks are released.
+ * @param {Function} [options.explainLoss] - Called with the error of the extension that failed
+ *   once the lock is lost, it resolves to the error the lock is lost with instead of an
+ *   `ExtendLockError`, if any (e.g. `LockStolenError`).
+ * @param {Tracer} [options.tracer] - OpenTelemetry tracer, the extensions and the release are traced
+ *   with the `mutex.extend` and `mutex.release` spans.
+ * @param {Boolean|Object} [options.adaptiveExtension] - Schedule the automatic extensions from the
+ *   measured round-trip times instead of every `lockTtl - extendLockBufferOffset` ms, see `autoExtend()`.
+ *   The extensions are more frequent, so `maxExtendLockCount` bounds the time the lock is held for
+ *   (`lockTtl * maxExtendLockCount` ms) instead of the number of extensions.
+ * @param {Number} [options.adaptiveExtension.extendAt] - Fraction of the TTL after which the lock is
+ *   extended at the latest, defaults to 0.5.
+ * @param {Number} [options.adaptiveExtension.driftFactor] - Expected clock drift, as a fraction of
+ *   the TTL, defaults to 0.01.
+ * @param {Number} [options.adaptiveExtension.retryDelay] - Delay in ms before retrying a failed
+ *   extension, defaults to 50ms.
+ */
+function LockHandle({
+  locks,
+  lockKeys,
+  lockKey,
+  lockTtl,
+  extendLockBufferOffset,
+  maxExtendLockCount,
+  debug,
+  onRelease = _.noop,
+  explainLoss = _.noop,
+  tracer,
+  adaptiveExtension = false
+}) {
+  EventEmitter.call(this);
+
+  this.locks = locks;
+  this.lockKeys = lockKeys;
+  this.lockKey = lockKey;
+  this.lockTtl = lockTtl;
+  this.extendLockBufferOffset = extendLockBufferOffset;
+  this.maxExtendLockCount = maxExtendLockCount;
+  this.debug = debug;
+  this.onRelease = onRelease;
+  this.explainLoss = explainLoss;
+  this.tracer = tracer;
+  this.adaptiveExtension = adaptiveExtension
+    ? _.defaults({}, _.isObject(adaptiveExtension) ? adaptiveExtension : {}, ADAPTIVE_EXTENSION_DEFAULTS)
+    : null;
+
+  this.acquiredAt = Date.now();
+  this.extendLockCounter = 0;
+  this.released = false;
+  this.lost = false;
+  this.autoExtending = false;
+  this.interval = null;
+  this.timeout = null;
+  this.roundTripTimes = [];
+  // `AbortController` is only available from Node.js 15, `signal` is left undefined before
+  this.abortController = (typeof AbortController === 'undefined') ? null : new AbortController();
+  this.signal = this.abortController ? this.abortController.signal : undefined;
+
+  this.fencingTokens = _.omitBy(_.zipObject(lockKeys, _.map(locks, 'fencingToken')), _.isUndefined);
+  this.fencingToken = (locks.length === 1) ? locks[0].fencingToken : undefined;
+}
+
+util.inherits(LockHandle, EventEmitter);
+
+/**
+ * Extend every lock by the given TTL.
+ *
+ * @param {Number} [ttl] - in ms, defaults to the lock TTL.
+ * @returns {Promise<LockHandle>}
+ */
+LockHandle.prototype.extend = function extend(ttl = this.lockTtl) {
+  if (this.released) {
+    return Bluebird.reject(new LockError(`[Mutex ${this.lockKey}] Cannot extend lock because it has been released`, 0));
+  }
+
+  const span = tracing.startSpan(this.tracer, 'mutex.extend', _.assign(tracing.lockAttributes(this.lockKey, ttl), {
+    'mutex.extend_count': this.extendLockCounter
+  }));
+  const startedAt = Date.now();
+
+  return Bluebird
+    .map(this.locks, lock => lock.extend(ttl))
+    .then(() => {
+      this.roundTripTimes = _.takeRight(this.roundTripTimes.concat(Date.now() - startedAt), ROUND_TRIP_SAMPLE_SIZE);
+      this.emit('extended');
+
+      return this;
+    })
+    .catch((error) => {
+      tracing.fail(span, error);
+      this.emit('extendFailed', error);
+
+      throw error;
+    })
+    .finally(() => span.end());
+};
+
+/**
+ * Release every lock, stopping the automatic extension if it's running. Releasing a released
+ * handle is a no-op.
+ *
+ * @returns {Promise<Void>} Rejected with `UnlockError` when the lock can't be released.
+ */
+LockHandle.prototype.release = function release() {
+  if (this.released) {
+    return Bluebird.resolve();
+  }
+
+  this.released = true;
+  this.autoExtend(false);
+
+  this.debug(`[Mutex %s] Unlocking resource with TTL %s ms`, this.lockKey, this.lockTtl);
+
+  const span = tracing.startSpan(this.tracer, 'mutex.release', _.assign(tracing.lockAttributes(this.lockKey, this.lockTtl), {
+    'mutex.hold_time': Date.now() - this.acquiredAt,
+    'mutex.extend_count': this.extendLockCounter
+  }));
+
+  return Bluebird
+    .map(this.locks, lock => lock.unlock())
+    .then(() => {
+      this.debug(`[Mutex %s] Done unlocking resource with TTL %s ms`, this.lockKey, this.lockTtl);
+
+      // The waiters fall back to polling if they miss the notification, no need to wait for it
+      Bluebird.resolve(this.onRelease(this.lockKeys)).catch((error) => {
+        this.debug('[Mutex %s] Error when notifying the release: %s', this.lockKey, error);
+      });
+    })
+    .catch((error) => {
+      const unlockError = new UnlockError(`[Mutex ${this.lockKey}] Error when unlocking resource, no worries we\'ve set a TTL ${this.lockTtl} ms, it\'ll unlock automatically. Error ${error}`);
+      unlockError.stack = error.stack;
+
+      throw unlockError;
+    })
+    .then(() => {
+      span.end();
+      this.emit('released');
+    }, (unlockError) => {
+      tracing.fail(span, unlockError);
+      span.end();
+      this.emit('released', unlockError);
+
+      throw unlockError;
+    });
+};
+
+/**
+ * Whether the lock is still held, i.e. it's neither released, lost, nor expired.
+ *
+ * @returns {Boolean}
+ */
+LockHandle.prototype.isHeld = function isHeld() {
+  return !this.released && !this.lost && this.remainingTtl() > 0;
+};
+
+/**
+ * The remaining TTL of the lock, based on the earliest expiring lock.
+ *
+ * @returns {Number} in ms.
+ */
+LockHandle.prototype.remainingTtl = function remainingTtl() {
+  if (this.released) {
+    return 0;
+  }
+
+  return Math.max(0, _.min(_.map(this.locks, 'expiration')) - Date.now());
+};
+
+/**
+ * Start or stop extending the lock every `lockTtl - extendLockBufferOffset` ms.
+ *
+ * With `adaptiveExtension`, each extension is instead scheduled once the previous one landed, at
+ * `extendAt` of the TTL or earlier when the remaining TTL gets within the safety margin (see
+ * `safetyMargin()`). A failed extension is retried every `retryDelay` ms while it can still land
+ * before the lock expires, the lock is only lost afterwards.
+ *
+ * @param {Boolean} [enabled] - Defaults to true.
+ * @returns {LockHandle}
+ */
+LockHandle.prototype.autoExtend = function autoExtend(enabled = true) {
+  if (!enabled) {
+    if (this.autoExtending) {
+      clearInterval(this.interval);
+      clearTimeout(this.timeout);
+      this.autoExtending = false;
+    }
+
+    return this;
+  }
+
+  if (this.autoExtending || this.released || this.lost) {
+    return this;
+  }
+
+  this.autoExtending = true;
+
+  if (this.adaptiveExtension) {
+    this.scheduleExtension(this.nextExtensionDelay());
+
+    return this;
+  }
+
+  const intervalTime = this.lockTtl - this.extendLockBufferOffset;
+
+  // Now we want to make sure that the lock holder will run exclusively 100%
+  // we'll run a function to extend the lock every `lockTtl - config.extendLockBufferOffset` ms
+  this.interval = setInterval(() => {
+    if (!this.countExtension()) {
+      return;
+    }
+
+    this.debug(
+      '[Mutex %s] Start extending lock TTL for %s ms within interval %s',
+      this.lockKey,
+      this.lockTtl,
+      intervalTime
+    );
+
+    return this
+      .extend()
+      .then(() => {
+        this.debug('[Mutex %s] Done extending lock TTL for %s ms', this.lockKey, this.lockTtl);
+      })
+      .catch((error) => {
+        if (this.released) {
+          return;
+        }
+
+        // If error occurs at this point then there's a possible race condition
+        // because we failed to extend the lock.
+        return this.loseWith(error);
+      });
+  }, intervalTime);
+
+  return this;
+};
+
+/**
+ * Count an automatic extension, the lock is lost once it's extended more than `maxExtendLockCount`
+ * times, or in adaptive mode once it's held for more than `lockTtl * maxExtendLockCount` ms.
+ *
+ * @private
+ * @returns {Boolean} Whether the lock can be extended.
+ */
+LockHandle.prototype.countExtension = function countExtension() {
+  this.extendLockCounter++;
+
+  if (this.adaptiveExtension) {
+    const maxHoldTime = this.lockTtl * this.maxExtendLockCount;
+    const holdTime = Date.now() - this.acquiredAt;
+
+    if (holdTime > maxHoldTime) {
+      this.lose(new ExtendLockError(
+        `[Mutex ${this.lockKey}] Promise is cancelled because it's been held for more than ${maxHoldTime} ms (extend count: ${this.extendLockCounter})`,
+        this.maxExtendLockCount
+      ));
+
+      return false;
+    }
+
+    return true;
+  }
+
+  if (this.extendLockCounter > this.maxExtendLockCount) {
+    this.lose(new ExtendLockError(
+      `[Mutex ${this.lockKey}] Promise is cancelled because it's been extended for more than ${this.maxExtendLockCount} (extend count: ${this.extendLockCounter})`,
+      this.maxExtendLockCount
+    ));
+
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * The time an extension needs to land before the lock expires in adaptive mode: twice the slowest
+ * of the recent round trips, plus the clock drift over the TTL (the same drift as redlock's).
+ *
+ * @private
+ * @returns {Number} in ms.
+ */
+LockHandle.prototype.safetyMargin = function safetyMargin() {
+  const drift = Math.round(this.lockTtl * this.adaptiveExtension.driftFactor) + 2;
+
+  return (2 * (_.max(this.roundTripTimes) || 0)) + drift;
+};
+
+/**
+ * The delay before the next extension in adaptive mode.
+ *
+ * @private
+ * @returns {Number} in ms.
+ */
+LockHandle.prototype.nextExtensionDelay = function nextExtensionDelay() {
+  const latest = this.lockTtl * this.adaptiveExtension.extendAt;
+
+  return Math.max(0, Math.min(latest, this.remainingTtl() - this.safetyMargin()));
+};
+
+/**
+ * Extend the lock after the given delay in adaptive mode, then schedule the next extension.
+ *
+ * @private
+ * @param {Number} delay - in ms.
+ * @param {Boolean} [retrying] - Whether it's the retry of a failed extension, which isn't counted.
+ */
+LockHandle.prototype.scheduleExtension = function scheduleExtension(delay, retrying = false) {
+  this.timeout = setTimeout(() => {
+    if (!retrying && !this.countExtension()) {
+      return;
+    }
+
+    this.debug(
+      '[Mutex %s] Start extending lock TTL for %s ms, %s ms before it expires',
+      this.lockKey,
+      this.lockTtl,
+      this.remainingTtl()
+    );
+
+    return this
+      .extend()
+      .then(() => {
+        this.debug('[Mutex %s] Done extending lock TTL for %s ms', this.lockKey, this.lockTtl);
+
+        if (this.autoExtending) {
+          this.scheduleExtension(this.nextExtensionDelay());
+        }
+      })
+      .catch((error) => {
+        if (this.released || !this.autoExtending) {
+          return;
+        }
+
+        const timeLeft = this.remainingTtl() - this.safetyMargin();
+
+        // The extension may still land before the lock expires, e.g. after a slow round trip
+        if (timeLeft > 0) {
+          this.debug('[Mutex %s] Retrying to extend lock TTL after error: %s', this.lockKey, error);
+          this.scheduleExtension(Math.min(this.adaptiveExtension.retryDelay, timeLeft), true);
+
+          return;
+        }
+
+        return this.loseWith(error);
+      });
+  }, delay);
+};
+
+/**
+ * Abort `signal` with the given reason without releasing the lock.
+ *
+ * @param {Error} reason
+ */
+LockHandle.prototype.abort = function abort(reason) {
+  if (this.abortController) {
+    this.abortController.abort(reason);
+  }
+};
+
+/**
+ * Mark the lock as lost because of the given extension error, see `explainLoss`.
+ *
+ * @private
+ * @param {Error} error
+ * @returns {Promise<Void>}
+ */
+LockHandle.prototype.loseWith = function loseWith(error) {
+  this.autoExtend(false);
+
+  return Bluebird
+    .try(() => this.explainLoss(error))
+    .catch((explanationError) => {
+      this.debug('[Mutex %s] Error when explaining the loss of the lock: %s', this.lockKey, explanationError);
+    })
+    .then((cause) => {
+      if (this.released || this.lost) {
+        return;
+      }
+
+      if (cause) {
+        this.lose(cause);
+
+        return;
+      }
+
+      const extendLockError = new ExtendLockError(error.message);
+      extendLockError.stack = error.stack || extendLockError.stack;
+
+      this.lose(extendLockError);
+    });
+};
+
+/**
+ * Mark the lock as lost and notify the listeners.
+ *
+ * @private
+ * @param {ExtendLockError} error
+ */
+LockHandle.prototype.lose = function lose(error) {
+  this.autoExtend(false);
+  this.lost = true;
+
+  this.abort(error);
+  this.emit('lost', error);
+};
+
+/**
+ * Release the lock when the handle is disposed, e.g. with `await using`.
+ *
+ * @returns {Promise<Void>}
+ */
+LockHandle.prototype[asyncDispose] = function dispose() {
+  return this.release();
+};
+
+module.exports = LockHandle;
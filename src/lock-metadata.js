@@ -0,0 +1,153 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+
+const keys = require('./keys');
+const lease = require('./lease');
+const scripts = require('./scripts');
+
+// The number of keys `SCAN` is asked to go through per call
+const SCAN_COUNT = 100;
+
+/**
+ * The key storing the metadata of the holders of the given lock key.
+ *
+ * @param {String} lockKey
+ * @returns {String}
+ */
+const metadataKeyOf = exports.metadataKeyOf = lockKey => keys.companionKeyOf(lockKey, 'metadata');
+
+/**
+ * Serialize the metadata of a holder along with its lock key and expiration. The lock key can't
+ * be told from the metadata key alone (see `keys.companionKeyOf()`), `scan()` reads it from here.
+ *
+ * @param {String} lockKey
+ * @param {Object} metadata
+ * @param {Number} expiration - Timestamp in ms.
+ * @returns {String}
+ */
+const serialize = exports.serialize = (lockKey, metadata, expiration) => JSON.stringify({ lockKey, metadata, expiration });
+
+/**
+ * The entries serialized by `serialize()` that are not expired yet.
+ *
+ * @private
+ * @param {String[]} serialized
+ * @returns {Object[]} `{ lockKey, metadata, expiration }`
+ */
+const liveEntries = (serialized) => {
+  const now = Date.now();
+
+  return _(serialized)
+    .map(entry => JSON.parse(entry))
+    .filter(({ expiration }) => expiration > now)
+    .value();
+};
+
+/**
+ * The metadata of the holders serialized by `serialize()` that are not expired yet.
+ *
+ * @param {String[]} serialized
+ * @returns {Object[]}
+ */
+const liveMetadata = exports.liveMetadata = serialized => _.map(liveEntries(serialized), 'metadata');
+
+/**
+ * Store the metadata of a holder of the given lock key on every client, see `scripts.SET_METADATA`.
+ * It's only informative, so unlike the locks it doesn't require a quorum.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @param {String} value - Value identifying the holder.
+ * @param {Object} metadata
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+exports.save = (clients, lockKey, value, metadata, ttl) => lease
+  .evaluate(clients, scripts.SET_METADATA, [metadataKeyOf(lockKey)], [value, serialize(lockKey, metadata, Date.now() + ttl), ttl])
+  .then(_.noop);
+
+/**
+ * Remove the metadata of a holder of the given lock key.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @param {String} value
+ * @returns {Promise<Void>}
+ */
+exports.remove = (clients, lockKey, value) => lease
+  .evaluate(clients, scripts.REMOVE_METADATA, [metadataKeyOf(lockKey)], [value])
+  .then(_.noop);
+
+/**
+ * Load the metadata of the live holders of the given lock key, from the client that knows the
+ * most holders.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @returns {Promise<Object[]>}
+ */
+exports.load = (clients, lockKey) => lease
+  .evaluate(clients, scripts.GET_METADATA, [metadataKeyOf(lockKey)], [])
+  .then(responses => _.maxBy(_.map(_.filter(responses, _.isArray), liveMetadata), 'length') || []);
+
+/**
+ * Scan the keys of a client matching the given pattern.
+ *
+ * @private
+ * @param {Redis} client
+ * @param {String} pattern
+ * @returns {Promise<String[]>}
+ */
+const scanClient = (client, pattern) => {
+  const scanFrom = (cursor, keys) => new Bluebird((resolve, reject) => {
+    client.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT, (error, response) => (error ? reject(error) : resolve(response)));
+  }).then(([nextCursor, batch]) => {
+    const scannedKeys = keys.concat(batch);
+
+    return (String(nextCursor) === '0') ? scannedKeys : scanFrom(nextCursor, scannedKeys);
+  });
+
+  return scanFrom('0', []);
+};
+
+/**
+ * The lock keys of the live holders stored in the given metadata keys of a client.
+ *
+ * @private
+ * @param {Redis} client
+ * @param {String[]} metadataKeys
+ * @returns {Promise<String[]>}
+ */
+const lockKeysOf = (client, metadataKeys) => Bluebird
+  .map(metadataKeys, metadataKey => lease.evaluate([client], scripts.GET_METADATA, [metadataKey], []))
+  .then(responses => _(responses)
+    .flatten()
+    .filter(_.isArray)
+    .flatMap(liveEntries)
+    .map('lockKey')
+    .value());
+
+/**
+ * List the lock keys matching the given pattern (see redis' `SCAN`) that have live holders with
+ * metadata, on any of the clients. The metadata keys of both the lock keys wrapped in a hash tag
+ * and the ones having their own are scanned, see `keys.companionKeyOf()`.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} pattern
+ * @returns {Promise<String[]>}
+ */
+exports.scan = (clients, pattern) => {
+  const matches = keys.matcherOf(pattern);
+
+  return Bluebird
+    .map(clients, client => Bluebird
+      .mapSeries([`{${pattern}}`, pattern], lockKeyPattern => scanClient(client, `${lockKeyPattern}:metadata`))
+      .then(metadataKeys => lockKeysOf(client, _.uniq(_.flatten(metadataKeys))))
+      .catch(() => []))
+    .then(lockKeys => _(lockKeys)
+      .flatten()
+      .filter(matches)
+      .uniq()
+      .sortBy()
+      .value());
+};
@@ -0,0 +1,84 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+
+const lease = require('./lease');
+const scripts = require('./scripts');
+
+/**
+ * The pub/sub channel notified when the given lock key is released.
+ *
+ * @param {String} lockKey
+ * @returns {String}
+ */
+const channelOf = lockKey => `${lockKey}:released`;
+
+/**
+ * Publish the release notification of the given lock keys on every redis client.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String[]} lockKeys
+ * @returns {Promise<Void>}
+ */
+exports.publish = (clients, lockKeys) => Bluebird
+  .map(lockKeys, lockKey => lease.evaluate(clients, scripts.PUBLISH, [], [channelOf(lockKey), lockKey]))
+  .then(_.noop);
+
+/**
+ * Wakes the waiters of a lock key up when the key is released, so they can retry right away
+ * instead of sleeping for the whole retry delay.
+ *
+ * @constructor
+ * @param {Redis} subscriber - Redis client dedicated to the subscriptions, it can't be used
+ *   for other commands once it subscribes.
+ */
+function ReleaseNotifier(subscriber) {
+  this.subscriber = subscriber;
+  this.listeners = {};
+
+  this.subscriber.on('message', (channel) => {
+    _.forEach(this.listeners[channel], listener => listener());
+  });
+}
+
+/**
+ * Wait until one of the given lock keys is released or the delay elapses, whichever comes first.
+ * The delay is the fallback in case the notification is missed.
+ *
+ * @param {String[]} lockKeys
+ * @param {Number} delay - in ms.
+ * @returns {Promise<Void>}
+ */
+ReleaseNotifier.prototype.wait = function wait(lockKeys, delay) {
+  const channels = _.map(lockKeys, channelOf);
+  let listener;
+
+  return new Bluebird((resolve) => {
+    const timeout = setTimeout(resolve, delay);
+
+    listener = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+
+    channels.forEach((channel) => {
+      if (_.isEmpty(this.listeners[channel])) {
+        this.listeners[channel] = [];
+        this.subscriber.subscribe(channel);
+      }
+
+      this.listeners[channel].push(listener);
+    });
+  })
+  .finally(() => {
+    channels.forEach((channel) => {
+      this.listeners[channel] = _.without(this.listeners[channel], listener);
+
+      if (_.isEmpty(this.listeners[channel])) {
+        delete this.listeners[channel];
+        this.subscriber.unsubscribe(channel);
+      }
+    });
+  });
+};
+
+exports.ReleaseNotifier = ReleaseNotifier;
@@ -0,0 +1,74 @@
+const _ = require('lodash');
+
+const keys = require('./keys');
+const lease = require('./lease');
+const scripts = require('./scripts');
+
+/**
+ * The key storing the result of the function run once under the given lock key.
+ *
+ * @param {String} lockKey
+ * @returns {String}
+ */
+const resultKeyOf = lockKey => keys.companionKeyOf(lockKey, 'result');
+
+/**
+ * Serialize the outcome of a settled function as JSON. An error is serialized as a plain object
+ * with its `name`, `message` and own enumerable properties.
+ *
+ * @param {Object} outcome - Either `{ value }` or `{ error }`.
+ * @returns {String}
+ */
+const serialize = exports.serialize = (outcome) => {
+  const serialized = _.has(outcome, 'error')
+    ? { error: _.assign({}, outcome.error, { name: outcome.error.name, message: outcome.error.message }) }
+    : outcome;
+
+  return JSON.stringify(serialized);
+};
+
+/**
+ * Deserialize an outcome serialized by `serialize()`, the error is rebuilt as an `Error` with the
+ * serialized properties.
+ *
+ * @param {String} serialized
+ * @returns {Object} Either `{ value }` or `{ error }`.
+ */
+const deserialize = exports.deserialize = (serialized) => {
+  const outcome = JSON.parse(serialized);
+
+  if (_.has(outcome, 'error')) {
+    return { error: _.assign(new Error(outcome.error.message), outcome.error) };
+  }
+
+  return outcome;
+};
+
+/**
+ * Store the outcome of a settled function so the callers waiting in other processes can share it,
+ * see `serialize()`.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @param {Object} outcome - Either `{ value }` or `{ error }`.
+ * @param {Number} ttl - in ms.
+ * @returns {Promise<Void>}
+ */
+exports.save = (clients, lockKey, outcome, ttl) => lease
+  .evaluate(clients, scripts.SET_RESULT, [resultKeyOf(lockKey)], [serialize(outcome), ttl])
+  .then(_.noop);
+
+/**
+ * Load the outcome stored by `save()`, see `deserialize()`.
+ *
+ * @param {Array<Redis>} clients
+ * @param {String} lockKey
+ * @returns {Promise<Object|null>} Either `{ value }`, `{ error }` or `null` when nothing is stored.
+ */
+exports.load = (clients, lockKey) => lease
+  .evaluate(clients, scripts.GET_RESULT, [resultKeyOf(lockKey)], [])
+  .then((responses) => {
+    const response = _.find(responses, _.isString);
+
+    return response ? deserialize(response) : null;
+  });
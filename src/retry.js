@@ -0,0 +1,126 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+
+const { LockError } = require('./errors');
+
+/**
+ * Defaults of the per-call retry policy, see `resolvePolicy`.
+ */
+const DEFAULT_POLICY = {
+  retryDelay: 100, // in ms
+  backoffFactor: 2,
+  maxRetryDelay: 5000, // in ms
+  jitter: 0.2,
+  waitTimeout: Infinity // in ms
+};
+
+/**
+ * Build the client-wide retry policy from the redlock options given to `initialize()`, so the
+ * acquisition behaves just like redlock's own retry mechanism (fixed delay with jitter).
+ *
+ * @param {Object} redlockOptions
+ * @param {Number} [redlockOptions.retryCount] - Defaults to redlock's default (10), -1 means retry forever.
+ * @param {Number} [redlockOptions.retryDelay] - Defaults to redlock's default (200ms).
+ * @param {Number} [redlockOptions.retryJitter] - Defaults to redlock's default (100ms).
+ * @returns {Object}
+ */
+exports.fromRedlockOptions = ({ retryCount = 10, retryDelay = 200, retryJitter = 100 }) => ({
+  maxAttempts: (retryCount === -1) ? Infinity : retryCount + 1,
+  retryDelay,
+  backoffFactor: 1,
+  maxRetryDelay: Infinity,
+  jitter: (retryDelay > 0) ? Math.min(retryJitter / retryDelay, 1) : 0,
+  waitTimeout: Infinity
+});
+
+/**
+ * Resolve the retry policy used for a single acquisition.
+ *
+ * @param {Object} defaultPolicy - The client-wide policy, used when no per-call policy is given.
+ * @param {Object} [policy] - Per-call policy.
+ * @param {Number} [policy.maxAttempts] - Defaults to 10, or unlimited when `waitTimeout` is given.
+ * @param {Number} [policy.retryDelay] - Delay before the first retry in ms, defaults to 100ms.
+ * @param {Number} [policy.backoffFactor] - Multiplier applied to the delay on every retry, defaults to 2.
+ * @param {Number} [policy.maxRetryDelay] - Upper bound of the delay in ms, defaults to 5000ms.
+ * @param {Number} [policy.jitter] - Fraction (0 - 1) of the delay that is randomized, defaults to 0.2.
+ * @param {Number} [policy.waitTimeout] - Overall deadline of the acquisition in ms, defaults to no deadline.
+ * @returns {Object}
+ */
+exports.resolvePolicy = (defaultPolicy, policy) => {
+  if (!policy) {
+    return defaultPolicy;
+  }
+
+  const maxAttempts = _.isNil(policy.waitTimeout) ? 10 : Infinity;
+
+  return _.defaults({}, policy, { maxAttempts }, DEFAULT_POLICY);
+};
+
+/**
+ * Compute the delay before the next attempt.
+ *
+ * @param {Object} policy
+ * @param {Number} attempts - The number of attempts made so far.
+ * @returns {Number} Delay in ms.
+ */
+const computeDelay = exports.computeDelay = (policy, attempts) => {
+  const delay = Math.min(
+    policy.maxRetryDelay,
+    policy.retryDelay * Math.pow(policy.backoffFactor, attempts - 1)
+  );
+  const jitter = (Math.random() * 2 - 1) * policy.jitter * delay;
+
+  return Math.max(0, Math.round(delay + jitter));
+};
+
+/**
+ * The longest delay between two attempts of the given policy.
+ *
+ * @param {Object} policy
+ * @returns {Number} Delay in ms.
+ */
+exports.maxDelay = (policy) => {
+  const delay = (policy.backoffFactor > 1) ? policy.maxRetryDelay : policy.retryDelay;
+
+  return Math.min(delay * (1 + policy.jitter), policy.waitTimeout);
+};
+
+/**
+ * Call `acquire` until it resolves, retrying according to the given policy whenever it
+ * rejects with `LockError`. Any other error is propagated immediately.
+ *
+ * @param {Function} acquire - Function that attempts the acquisition once, receives the attempt number.
+ * @param {Object} policy - See `resolvePolicy`.
+ * @param {Function} [wait] - Function that waits for the given delay (in ms) before the next attempt,
+ *   it may resolve earlier, e.g. when the lock is released. Defaults to `Bluebird.delay`.
+ * @returns {Promise<*>} Rejected with `LockError` carrying `attempts` and `waitTime` when the
+ *   policy is exhausted.
+ */
+exports.retry = (acquire, policy, wait = Bluebird.delay) => {
+  const startedAt = Date.now();
+
+  const attempt = attempts => Bluebird
+    .resolve(acquire(attempts))
+    .catch(LockError, (error) => {
+      const waitTime = Date.now() - startedAt;
+      const remainingTime = policy.waitTimeout - waitTime;
+
+      if (attempts >= policy.maxAttempts || remainingTime <= 0) {
+        const lockError = new LockError(
+          `Failed to acquire the lock after ${attempts} attempt(s) in ${waitTime} ms. ${error.message}`,
+          attempts
+        );
+        lockError.waitTime = waitTime;
+        lockError.contendedKeys = error.contendedKeys;
+        lockError.queuePosition = error.queuePosition;
+
+        throw lockError;
+      }
+
+      return Bluebird
+        .resolve(wait(Math.min(computeDelay(policy, attempts), remainingTime)))
+        .then(() => attempt(attempts + 1));
+    });
+
+  return attempt(1);
+};
@@ -0,0 +1,256 @@
+/**
+ * Lua scripts evaluated on the redis clients by `lease.js`.
+ *
+ * Every lease script receives the lease value as ARGV[1] and the lease TTL in ms as ARGV[2].
+ * Holder sets (readers of a read/write lock, holders of a semaphore) are stored as a sorted set of
+ * lease values scored by their expiration timestamp, so the entries of crashed holders can be
+ * purged without relying on the key TTL.
+ */
+
+// Prepended to the scripts that need the current timestamp in ms (`now`). It's read from the
+// clock of the redis server rather than given by the caller, a caller whose clock runs ahead would
+// otherwise purge the entries of the live holders. The script switches to effects replication
+// first, redis < 5 rejects the writes following a non deterministic command otherwise.
+const NOW = `
+  redis.replicate_commands()
+  local time = redis.call("time")
+  local now = time[1] * 1000 + math.floor(time[2] / 1000)
+`;
+
+// Counterparts of redlock's scripts, so a write lock is compatible with the lock acquired by `run()`
+exports.UNLOCK = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+exports.EXTEND = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end';
+
+exports.HOLDER_EXTEND = `${NOW}
+  if not redis.call("zscore", KEYS[1], ARGV[1]) then
+    return 0
+  end
+
+  redis.call("zadd", KEYS[1], now + ARGV[2], ARGV[1])
+
+  if redis.call("pttl", KEYS[1]) < tonumber(ARGV[2]) then
+    redis.call("pexpire", KEYS[1], ARGV[2])
+  end
+
+  return 1
+`;
+
+exports.HOLDER_UNLOCK = 'redis.call("zrem", KEYS[1], ARGV[1]) return 1';
+
+// KEYS[1] readers, KEYS[2] write lock, KEYS[3] writer intent
+exports.READ_LOCK = `${NOW}
+  redis.call("zremrangebyscore", KEYS[1], "-inf", now)
+
+  if redis.call("exists", KEYS[2]) == 1 or redis.call("exists", KEYS[3]) == 1 then
+    return 0
+  end
+
+  redis.call("zadd", KEYS[1], now + ARGV[2], ARGV[1])
+
+  if redis.call("pttl", KEYS[1]) < tonumber(ARGV[2]) then
+    redis.call("pexpire", KEYS[1], ARGV[2])
+  end
+
+  return 1
+`;
+
+// KEYS[1] write lock, KEYS[2] readers, KEYS[3] writer intent
+//
+// While readers are still holding the lock, the writer registers its intent so no new reader
+// is admitted until the writer gets its turn (or the intent expires).
+exports.WRITE_LOCK = `${NOW}
+  redis.call("zremrangebyscore", KEYS[2], "-inf", now)
+
+  if redis.call("exists", KEYS[1]) == 1 then
+    return 0
+  end
+
+  local intent = redis.call("get", KEYS[3])
+
+  if intent and intent ~= ARGV[1] then
+    return 0
+  end
+
+  if redis.call("zcard", KEYS[2]) > 0 then
+    redis.call("set", KEYS[3], ARGV[1], "PX", ARGV[2])
+    return 0
+  end
+
+  redis.call("del", KEYS[3])
+  redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])
+
+  return 1
+`;
+
+// KEYS[1] writer intent, ARGV[1] writer value
+exports.ABANDON_WRITE = 'if redis.call("get", KEYS[1]) == ARGV[1] then redis.call("del", KEYS[1]) end return 1';
+
+// KEYS[1] holders, ARGV[3] the maximum number of holders
+exports.SEMAPHORE_LOCK = `${NOW}
+  redis.call("zremrangebyscore", KEYS[1], "-inf", now)
+
+  if redis.call("zcard", KEYS[1]) >= tonumber(ARGV[3]) then
+    return 0
+  end
+
+  redis.call("zadd", KEYS[1], now + ARGV[2], ARGV[1])
+
+  if redis.call("pttl", KEYS[1]) < tonumber(ARGV[2]) then
+    redis.call("pexpire", KEYS[1], ARGV[2])
+  end
+
+  return 1
+`;
+
+// KEYS[1] lock, KEYS[2] fencing token counter, ARGV[1] lock value
+//
+// The counter is never expired so the tokens keep increasing across the lock holders, hence every
+// distinct lock key leaves its counter behind (see the README).
+exports.FENCE = `
+  if redis.call("get", KEYS[1]) ~= ARGV[1] then
+    return 0
+  end
+
+  return redis.call("incr", KEYS[2])
+`;
+
+// Fair locks, every lock key takes 4 keys: KEYS[i] lock, KEYS[i + 1] queue of the waiters scored
+// by their arrival, KEYS[i + 2] expiration of the waiters, KEYS[i + 3] arrival counter.
+// ARGV[3] is the TTL of a queue entry that is not refreshed by its waiter.
+//
+// The waiter is enqueued on every lock key at once, so the waiters are ordered the same way on
+// every key. It's granted the locks once it's at the head of every queue and every lock is free,
+// otherwise the number of waiters and holders ahead of it (the most among the keys) is returned.
+exports.FAIR_LOCK = `${NOW}
+  local position = 0
+
+  for i = 1, #KEYS, 4 do
+    local queue, expiration, counter = KEYS[i + 1], KEYS[i + 2], KEYS[i + 3]
+    local expired = redis.call("zrangebyscore", expiration, "-inf", now)
+
+    for _, waiter in ipairs(expired) do
+      redis.call("zrem", queue, waiter)
+      redis.call("zrem", expiration, waiter)
+    end
+
+    if not redis.call("zscore", queue, ARGV[1]) then
+      redis.call("zadd", queue, redis.call("incr", counter), ARGV[1])
+    end
+
+    redis.call("zadd", expiration, now + ARGV[3], ARGV[1])
+
+    for j = 1, 3 do
+      redis.call("pexpire", KEYS[i + j], ARGV[3])
+    end
+
+    local rank = redis.call("zrank", queue, ARGV[1])
+
+    if redis.call("exists", KEYS[i]) == 1 then
+      rank = rank + 1
+    end
+
+    position = math.max(position, rank)
+  end
+
+  if position > 0 then
+    return {0, position}
+  end
+
+  for i = 1, #KEYS, 4 do
+    redis.call("zrem", KEYS[i + 1], ARGV[1])
+    redis.call("zrem", KEYS[i + 2], ARGV[1])
+    redis.call("set", KEYS[i], ARGV[1], "PX", ARGV[2])
+  end
+
+  return {1, 0}
+`;
+
+// Same keys as FAIR_LOCK, removes the waiter from every queue
+exports.FAIR_DEQUEUE = `
+  for i = 1, #KEYS, 4 do
+    redis.call("zrem", KEYS[i + 1], ARGV[1])
+    redis.call("zrem", KEYS[i + 2], ARGV[1])
+  end
+
+  return 1
+`;
+
+// KEYS[1] lock, KEYS[2] readers
+//
+// Returns the remaining TTL of the lock (the latest expiring reader for a shared lock) and the
+// number of readers, without purging the expired readers.
+exports.LOCK_INFO = `${NOW}
+  local ttl = math.max(redis.call("pttl", KEYS[1]), 0)
+  local readers = redis.call("zrangebyscore", KEYS[2], "(" .. now, "+inf", "WITHSCORES")
+
+  if #readers > 0 then
+    ttl = math.max(ttl, readers[#readers] - now)
+  end
+
+  return {ttl, #readers / 2}
+`;
+
+// ARGV[1] channel, ARGV[2] message
+exports.PUBLISH = 'return redis.call("publish", ARGV[1], ARGV[2])';
+
+// KEYS[1] result key
+exports.GET_RESULT = 'return redis.call("get", KEYS[1])';
+
+// KEYS[1] result key, ARGV[1] serialized result, ARGV[2] TTL in ms
+exports.SET_RESULT = 'return redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])';
+
+// KEYS[1] metadata key, ARGV[1] value, ARGV[2] serialized metadata, ARGV[3] TTL in ms
+//
+// The metadata of every holder is stored in a field of the hash, the hash expires with the latest
+// expiring holder (the expiration of each holder is part of its serialized metadata).
+exports.SET_METADATA = `
+  redis.call("hset", KEYS[1], ARGV[1], ARGV[2])
+
+  if redis.call("pttl", KEYS[1]) < tonumber(ARGV[3]) then
+    redis.call("pexpire", KEYS[1], ARGV[3])
+  end
+
+  return 1
+`;
+
+// KEYS[1] metadata key, ARGV[1] value
+exports.REMOVE_METADATA = 'return redis.call("hdel", KEYS[1], ARGV[1])';
+
+// KEYS[1] metadata key
+exports.GET_METADATA = 'return redis.call("hvals", KEYS[1])';
+
+// KEYS[1] lock, KEYS[2] readers, KEYS[3] writer intent, KEYS[4] metadata, KEYS[5] audit trail,
+// ARGV[1] serialized audit entry, ARGV[2] audit trail length
+//
+// Deletes the lock whoever holds it (the exclusive holder, the holders of a semaphore and the
+// readers), the fencing counter is kept so the next holder still gets a greater token. The audit
+// entry is recorded along with the values of the evicted holders, which is how they can tell that
+// their lock has been stolen.
+exports.FORCE_RELEASE = `${NOW}
+  local evicted = {}
+  local kind = redis.call("type", KEYS[1]).ok
+
+  if kind == "string" then
+    table.insert(evicted, cjson.encode(redis.call("get", KEYS[1])))
+  elseif kind == "zset" then
+    for _, value in ipairs(redis.call("zrangebyscore", KEYS[1], "(" .. now, "+inf")) do
+      table.insert(evicted, cjson.encode(value))
+    end
+  end
+
+  for _, value in ipairs(redis.call("zrangebyscore", KEYS[2], "(" .. now, "+inf")) do
+    table.insert(evicted, cjson.encode(value))
+  end
+
+  redis.call("del", KEYS[1], KEYS[2], KEYS[3], KEYS[4])
+
+  local record = '{"evicted":[' .. table.concat(evicted, ",") .. '],"entry":' .. ARGV[1] .. '}'
+
+  redis.call("lpush", KEYS[5], record)
+  redis.call("ltrim", KEYS[5], 0, ARGV[2] - 1)
+
+  return record
+`;
+
+// KEYS[1] audit trail
+exports.GET_AUDIT_TRAIL = 'return redis.call("lrange", KEYS[1], 0, -1)';
@@ -0,0 +1,70 @@
+const _ = require('lodash');
+
+/**
+ * `SpanStatusCode.ERROR` of the OpenTelemetry API.
+ */
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * The span used when no tracer is given, so the callers don't have to check for one.
+ */
+const noopSpan = {
+  setAttribute: _.noop,
+  setAttributes: _.noop,
+  setStatus: _.noop,
+  recordException: _.noop,
+  end: _.noop
+};
+
+/**
+ * The common attributes of the spans of a lock.
+ *
+ * @param {String|String[]} lockKey
+ * @param {Number} lockTtl - in ms.
+ * @returns {Object}
+ */
+exports.lockAttributes = (lockKey, lockTtl) => ({
+  'mutex.lock_key': _.castArray(lockKey).join(','),
+  'mutex.lock_ttl': lockTtl
+});
+
+/**
+ * Start a span with the given tracer (OpenTelemetry `Tracer` API).
+ *
+ * @param {Tracer} [tracer]
+ * @param {String} name
+ * @param {Object} attributes
+ * @returns {Span} A no-op span when no tracer is given.
+ */
+const startSpan = exports.startSpan = (tracer, name, attributes) => (tracer ? tracer.startSpan(name, { attributes }) : noopSpan);
+
+/**
+ * Start a span and make it the active span while `fn` is called, so the spans created by `fn`
+ * are its children. Falls back to `startSpan()` when the tracer doesn't support active spans.
+ *
+ * @param {Tracer} [tracer]
+ * @param {String} name
+ * @param {Object} attributes
+ * @param {Function} fn - Called with the span.
+ * @returns {*} The return value of `fn`.
+ */
+exports.startActiveSpan = (tracer, name, attributes, fn) => {
+  if (tracer && tracer.startActiveSpan) {
+    return tracer.startActiveSpan(name, { attributes }, fn);
+  }
+
+  return fn(startSpan(tracer, name, attributes));
+};
+
+/**
+ * Mark the span as failed with the given error, the `error.type` attribute is the name of the
+ * error (e.g. `LockError`, `ExtendLockError` or `UnlockError`).
+ *
+ * @param {Span} span
+ * @param {Error} error
+ */
+exports.fail = (span, error) => {
+  span.setAttribute('error.type', error.name);
+  span.recordException(error);
+  span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+};
@@ -0,0 +1,66 @@
+const chai = require('chai');
+
+const auditTrail = require('../src/audit-trail');
+const scripts = require('../src/scripts');
+const { createClient } = require('./helpers/redis');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('auditTrail', () => {
+  describe('forceRelease()', () => {
+    const entry = { lockKey: 'lock-key', reason: 'Hung worker', releasedAt: 1000 };
+
+    it('should delete the lock and record the entry on every client', async () => {
+      const clients = [
+        createClient(auditTrail.serialize(entry, ['value'])),
+        createClient(auditTrail.serialize(entry, ['value', 'reader'])),
+        createClient(null)
+      ];
+
+      expect(await auditTrail.forceRelease(clients, 'lock-key', entry)).to.deep.equal({
+        lockKey: 'lock-key',
+        reason: 'Hung worker',
+        releasedAt: 1000,
+        evicted: ['value', 'reader']
+      });
+
+      expect(clients[0].eval).to.be.calledOnceWith(
+        scripts.FORCE_RELEASE,
+        5,
+        'lock-key',
+        '{lock-key}:readers',
+        '{lock-key}:writer-intent',
+        '{lock-key}:metadata',
+        '{lock-key}:audit',
+        JSON.stringify(entry)
+      );
+    });
+
+    it('should reject when the lock can\'t be deleted on a quorum of clients', async () => {
+      const clients = [createClient(auditTrail.serialize(entry, [])), createClient(null), createClient(null)];
+
+      await expect(auditTrail.forceRelease(clients, 'lock-key', entry)).to.be.rejectedWith('quorum');
+    });
+  });
+
+  describe('load()', () => {
+    it('should resolve the entries recorded by the client that recorded the most', async () => {
+      const first = auditTrail.serialize({ reason: 'first' }, ['value']);
+      const second = auditTrail.serialize({ reason: 'second' }, []);
+      const clients = [createClient([first]), createClient([second, first]), createClient(null)];
+
+      expect(await auditTrail.load(clients, 'lock-key')).to.deep.equal([
+        { reason: 'second', evicted: [] },
+        { reason: 'first', evicted: ['value'] }
+      ]);
+      expect(clients[0].eval).to.be.calledOnceWith(scripts.GET_AUDIT_TRAIL, 1, '{lock-key}:audit');
+    });
+
+    it('should resolve an empty array when nothing is recorded', async () => {
+      expect(await auditTrail.load([createClient([])], 'lock-key')).to.deep.equal([]);
+    });
+  });
+});
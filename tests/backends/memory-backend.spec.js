@@ -0,0 +1,324 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { LockError } = require('../../src/errors');
+const MemoryBackend = require('../../src/backends/memory-backend');
+
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('MemoryBackend', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('#acquire()', () => {
+    context('in exclusive mode', () => {
+      it('should lock the key with increasing fencing tokens', async () => {
+        const backend = new MemoryBackend();
+
+        const lock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        expect(lock).to.include({ resource: 'lock-key', expiration: 1100, fencingToken: 1 });
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await lock.unlock();
+
+        const nextLock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        expect(nextLock.fencingToken).to.equal(2);
+      });
+
+      it('should let the lock expire after its TTL', async () => {
+        const backend = new MemoryBackend();
+
+        const lock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        clock.tick(100);
+
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 })).to.be.fulfilled;
+        await expect(lock.extend(100)).to.be.rejectedWith(LockError);
+      });
+    });
+
+    context('in read and write modes', () => {
+      it('should admit any number of readers', async () => {
+        const backend = new MemoryBackend();
+
+        await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.fulfilled;
+      });
+
+      it('should not admit new readers while a writer waits for the readers to drain', async () => {
+        const backend = new MemoryBackend();
+        const reader = await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 })).to.be.rejectedWith(LockError);
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.rejectedWith(LockError);
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'other-writer', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await reader.unlock();
+
+        const writer = await backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 });
+
+        expect(writer.fencingToken).to.equal(1);
+      });
+
+      it('should admit new readers once the writer withdraws its intent', async () => {
+        const backend = new MemoryBackend();
+
+        await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await backend.abandonWrite('lock-key', 'other-writer');
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await backend.abandonWrite('lock-key', 'writer');
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.fulfilled;
+      });
+
+      it('should be exclusive with the lock of run()', async () => {
+        const backend = new MemoryBackend();
+
+        await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 })).to.be.rejectedWith(LockError);
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.rejectedWith(LockError);
+      });
+    });
+
+    context('in semaphore mode', () => {
+      it('should admit up to limit holders', async () => {
+        const backend = new MemoryBackend();
+        const holder = await backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 });
+
+        await backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 });
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 })).to.be.rejectedWith(LockError);
+
+        await holder.unlock();
+
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 })).to.be.fulfilled;
+      });
+
+      it('should free the slots of the expired holders', async () => {
+        const backend = new MemoryBackend();
+        const holder = await backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 1 });
+
+        clock.tick(50);
+        await holder.extend(100);
+        clock.tick(99);
+
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 1 })).to.be.rejectedWith(LockError);
+
+        clock.tick(1);
+
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 1 })).to.be.fulfilled;
+      });
+    });
+
+    it('should reject with an error when the mode is unknown', async () => {
+      await expect(new MemoryBackend().acquire('lock-key', { mode: 'unknown', ttl: 100 })).to.be.rejectedWith('Unknown lock mode');
+    });
+  });
+
+  describe('#acquireFair()', () => {
+    it('should grant the locks in arrival order', async () => {
+      const backend = new MemoryBackend();
+      const [holder] = await backend.acquireFair(['lock-key'], { value: 'first', ttl: 100, queueTtl: 200 });
+
+      const error = await backend.acquireFair(['lock-key'], { value: 'second', ttl: 100, queueTtl: 200 }).catch(error => error);
+      await backend.acquireFair(['lock-key'], { value: 'third', ttl: 100, queueTtl: 200 }).catch(error => error);
+
+      expect(error).to.be.instanceOf(LockError);
+      expect(error.queuePosition).to.equal(1);
+
+      await holder.unlock();
+
+      await expect(backend.acquireFair(['lock-key'], { value: 'third', ttl: 100, queueTtl: 200 })).to.be.rejectedWith(LockError);
+      await expect(backend.acquireFair(['lock-key'], { value: 'second', ttl: 100, queueTtl: 200 })).to.be.fulfilled;
+    });
+
+    it('should drop the waiters that left or stopped refreshing their entry', async () => {
+      const backend = new MemoryBackend();
+      const [holder] = await backend.acquireFair(['lock-key'], { value: 'first', ttl: 100, queueTtl: 200 });
+
+      await backend.acquireFair(['lock-key'], { value: 'second', ttl: 100, queueTtl: 200 }).catch(error => error);
+      await backend.acquireFair(['lock-key'], { value: 'third', ttl: 100, queueTtl: 200 }).catch(error => error);
+      await backend.dequeueFair(['lock-key'], 'second');
+      await holder.unlock();
+
+      clock.tick(200);
+
+      await expect(backend.acquireFair(['lock-key'], { value: 'fourth', ttl: 100, queueTtl: 200 })).to.be.fulfilled;
+    });
+  });
+
+  describe('#inspect()', () => {
+    it('should report the exclusive lock', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+      clock.tick(40);
+
+      expect(await backend.inspect('lock-key')).to.deep.equal({ locked: true, remainingTtl: 60, sharedHolders: 0 });
+    });
+
+    it('should report the shared holders', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+      await backend.acquire('lock-key', { mode: 'read', ttl: 200 });
+
+      expect(await backend.inspect('lock-key')).to.deep.equal({ locked: true, remainingTtl: 200, sharedHolders: 2 });
+    });
+
+    it('should report an expired lock as not held', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+      clock.tick(100);
+
+      expect(await backend.inspect('lock-key')).to.deep.equal({ locked: false, remainingTtl: 0, sharedHolders: 0 });
+    });
+  });
+
+  describe('#waitForRelease()', () => {
+    it('should resolve once one of the keys is released', async () => {
+      const backend = new MemoryBackend();
+      const waiting = backend.waitForRelease(['lock-key1', 'lock-key2'], 60000);
+
+      await backend.notifyRelease(['lock-key2']);
+
+      await expect(waiting).to.be.fulfilled;
+      expect(backend.releases.listenerCount('lock-key1')).to.equal(0);
+    });
+
+    it('should resolve after the delay', async () => {
+      await expect(new MemoryBackend().waitForRelease(['lock-key'], 10)).to.be.fulfilled;
+    });
+  });
+
+  describe('#saveResult()', () => {
+    it('should store the outcome until its TTL expires', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.saveResult('lock-key', { value: { id: 1 } }, 100);
+
+      expect(await backend.loadResult('lock-key')).to.deep.equal({ value: { id: 1 } });
+
+      clock.tick(100);
+
+      expect(await backend.loadResult('lock-key')).to.be.null;
+    });
+
+    it('should rebuild the stored error', async () => {
+      const backend = new MemoryBackend();
+      const error = new Error('boom');
+      error.code = 'E_BOOM';
+
+      await backend.saveResult('lock-key', { error }, 100);
+
+      const outcome = await backend.loadResult('lock-key');
+
+      expect(outcome.error).to.be.instanceOf(Error);
+      expect(outcome.error).to.include({ message: 'boom', code: 'E_BOOM' });
+    });
+  });
+
+  describe('#saveMetadata()', () => {
+    it('should store the metadata of each holder until it expires', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.saveMetadata('lock-key', 'first', { label: 'first' }, 100);
+      await backend.saveMetadata('lock-key', 'second', { label: 'second' }, 200);
+      await backend.saveMetadata('lock-key', 'first', { label: 'first', extendCount: 1 }, 100);
+
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([{ label: 'first', extendCount: 1 }, { label: 'second' }]);
+
+      clock.tick(100);
+
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([{ label: 'second' }]);
+    });
+
+    it('should remove the metadata of a holder', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.saveMetadata('lock-key', 'value', { label: 'label' }, 100);
+      await backend.removeMetadata('lock-key', 'value');
+
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([]);
+      expect(backend.metadata).to.deep.equal({});
+    });
+  });
+
+  describe('#listLocks()', () => {
+    it('should list the keys with live metadata matching the pattern', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.saveMetadata('invoice:batch', 'value', {}, 200);
+      await backend.saveMetadata('invoice:42', 'value', {}, 100);
+      await backend.saveMetadata('payment:42', 'value', {}, 200);
+
+      expect(await backend.listLocks('invoice:*')).to.deep.equal(['invoice:42', 'invoice:batch']);
+      expect(await backend.listLocks('*:4?')).to.deep.equal(['invoice:42', 'payment:42']);
+
+      clock.tick(100);
+
+      expect(await backend.listLocks('*')).to.deep.equal(['invoice:batch', 'payment:42']);
+    });
+  });
+
+  describe('#forceRelease()', () => {
+    it('should evict the exclusive holder and keep the fencing token increasing', async () => {
+      const backend = new MemoryBackend();
+      const lock = await backend.acquire('lock-key', { mode: 'exclusive', value: 'holder', ttl: 100 });
+
+      await backend.saveMetadata('lock-key', 'holder', { label: 'label' }, 100);
+
+      const entry = await backend.forceRelease('lock-key', { reason: 'Hung worker' });
+
+      expect(entry).to.deep.equal({ reason: 'Hung worker', evicted: ['holder'] });
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([]);
+      await expect(lock.extend(100)).to.be.rejectedWith(LockError);
+
+      const nextLock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+      expect(nextLock.fencingToken).to.equal(lock.fencingToken + 1);
+    });
+
+    it('should evict the readers and the holders of a semaphore', async () => {
+      const backend = new MemoryBackend();
+
+      await backend.acquire('lock-key', { mode: 'read', value: 'reader', ttl: 100 });
+      await backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 }).catch(() => {});
+      await backend.acquire('semaphore-key', { mode: 'semaphore', value: 'holder', ttl: 100, limit: 1 });
+
+      expect((await backend.forceRelease('lock-key', {})).evicted).to.deep.equal(['reader']);
+      expect((await backend.forceRelease('semaphore-key', {})).evicted).to.deep.equal(['holder']);
+
+      await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.fulfilled;
+      await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 1 })).to.be.fulfilled;
+    });
+
+    it('should keep the last entries of the audit trail, the most recent first', async () => {
+      const backend = new MemoryBackend();
+
+      for (let i = 0; i < 101; i++) {
+        await backend.forceRelease('lock-key', { reason: `#${i}` });
+      }
+
+      const entries = await backend.loadAuditTrail('lock-key');
+
+      expect(entries).to.have.lengthOf(100);
+      expect(entries[0]).to.deep.equal({ reason: '#100', evicted: [] });
+      expect(entries[99].reason).to.equal('#1');
+    });
+  });
+});
@@ -0,0 +1,341 @@
+const _ = require('lodash');
+const chai = require('chai');
+const EventEmitter = require('events');
+const { newDb } = require('pg-mem');
+const sinon = require('sinon');
+
+const { ExtendLockError, LockError, UnlockError } = require('../../src/errors');
+const mutex = require('../../src/index');
+const PostgresBackend = require('../../src/backends/postgres-backend');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+// The clock of the database as read by the statements of the backend
+const NOW = '(extract(epoch from clock_timestamp()) * 1000)::bigint';
+
+describe('PostgresBackend', () => {
+  let clock;
+  let databaseClockOffset;
+  let db;
+  let pool;
+  let backend;
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+    databaseClockOffset = 0;
+    db = newDb();
+    db.public.registerFunction({
+      name: 'pg_notify',
+      args: ['text', 'text'],
+      returns: 'text',
+      implementation: () => '',
+      impure: true
+    });
+
+    // pg-mem has no clock_timestamp(), the clock of the database follows the fake one
+    const withDatabaseClock = (queryable) => {
+      const query = queryable.query.bind(queryable);
+
+      queryable.query = (statement, ...args) => query(
+        _.isString(statement) ? statement.split(NOW).join(`${Date.now() + databaseClockOffset}::bigint`) : statement,
+        ...args
+      );
+
+      return queryable;
+    };
+
+    const { Pool } = db.adapters.createPg();
+
+    pool = withDatabaseClock(new Pool());
+
+    const connect = pool.connect.bind(pool);
+    pool.connect = () => connect().then(withDatabaseClock);
+    backend = new PostgresBackend({ pool });
+
+    await backend.createTables();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should reject an invalid table name', () => {
+    expect(() => new PostgresBackend({ pool, tableName: 'locks; DROP TABLE users' })).to.throw('Invalid table name');
+  });
+
+  describe('#acquire()', () => {
+    context('in exclusive mode', () => {
+      it('should lock the key with increasing fencing tokens', async () => {
+        const lock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        expect(lock).to.include({ resource: 'lock-key', expiration: 1100, fencingToken: 1 });
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await lock.unlock();
+
+        const nextLock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        expect(nextLock.fencingToken).to.equal(2);
+      });
+
+      it('should let the lock expire after its TTL', async () => {
+        const lock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        clock.tick(100);
+
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 })).to.be.fulfilled;
+        await expect(lock.extend(100)).to.be.rejectedWith(LockError);
+      });
+
+      it('should expire the lock by the clock of the database', async () => {
+        const lock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        databaseClockOffset = 100;
+
+        expect(lock.expiration).to.equal(1100);
+        await expect(lock.extend(100)).to.be.rejectedWith(LockError);
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 })).to.be.fulfilled;
+      });
+
+      it('should extend the lock', async () => {
+        const lock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+        clock.tick(90);
+        await lock.extend(100);
+        clock.tick(90);
+
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 })).to.be.rejectedWith(LockError);
+        expect(lock.expiration).to.equal(1190);
+      });
+
+      it('should reject with LockError when the database fails', async () => {
+        sinon.stub(pool, 'connect').rejects(new Error('Connection refused'));
+
+        await expect(backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 }))
+          .to.be.rejectedWith(LockError, 'Connection refused');
+      });
+    });
+
+    context('in read and write modes', () => {
+      it('should admit any number of readers', async () => {
+        await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.fulfilled;
+      });
+
+      it('should not admit new readers while a writer waits for the readers to drain', async () => {
+        const reader = await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 })).to.be.rejectedWith(LockError);
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.rejectedWith(LockError);
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'other-writer', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await reader.unlock();
+
+        const writer = await backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 });
+
+        expect(writer.fencingToken).to.equal(1);
+      });
+
+      it('should admit new readers once the writer withdraws its intent', async () => {
+        await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+        await expect(backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 })).to.be.rejectedWith(LockError);
+
+        await backend.abandonWrite('lock-key', 'writer');
+        await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.fulfilled;
+      });
+    });
+
+    context('in semaphore mode', () => {
+      it('should admit up to limit holders until they expire', async () => {
+        const holder = await backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 });
+
+        await backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 200, limit: 2 });
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 })).to.be.rejectedWith(LockError);
+
+        await holder.unlock();
+        await backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 });
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 })).to.be.rejectedWith(LockError);
+
+        clock.tick(100);
+
+        await expect(backend.acquire('semaphore-key', { mode: 'semaphore', ttl: 100, limit: 2 })).to.be.fulfilled;
+      });
+    });
+  });
+
+  describe('#acquireFair()', () => {
+    it('should grant the locks in arrival order', async () => {
+      const holders = await backend.acquireFair(['lock-key1', 'lock-key2'], { value: 'first', ttl: 100, queueTtl: 200 });
+
+      const error = await backend.acquireFair(['lock-key2'], { value: 'second', ttl: 100, queueTtl: 200 }).catch(error => error);
+      await backend.acquireFair(['lock-key1', 'lock-key2'], { value: 'third', ttl: 100, queueTtl: 200 }).catch(_.noop);
+
+      expect(error).to.be.instanceOf(LockError);
+      expect(error.queuePosition).to.equal(1);
+      expect(_.map(holders, 'fencingToken')).to.deep.equal([1, 1]);
+
+      await Promise.all(_.invokeMap(holders, 'unlock'));
+
+      await expect(backend.acquireFair(['lock-key1', 'lock-key2'], { value: 'third', ttl: 100, queueTtl: 200 })).to.be.rejectedWith(LockError);
+      await expect(backend.acquireFair(['lock-key2'], { value: 'second', ttl: 100, queueTtl: 200 })).to.be.fulfilled;
+    });
+  });
+
+  describe('#inspect()', () => {
+    it('should report the exclusive lock', async () => {
+      await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+      clock.tick(40);
+
+      expect(await backend.inspect('lock-key')).to.deep.equal({ locked: true, remainingTtl: 60, sharedHolders: 0 });
+    });
+
+    it('should report the shared holders', async () => {
+      await backend.acquire('lock-key', { mode: 'read', ttl: 100 });
+      await backend.acquire('lock-key', { mode: 'read', ttl: 200 });
+
+      expect(await backend.inspect('lock-key')).to.deep.equal({ locked: true, remainingTtl: 200, sharedHolders: 2 });
+    });
+
+    it('should report a key that was never locked as not held', async () => {
+      expect(await backend.inspect('lock-key')).to.deep.equal({ locked: false, remainingTtl: 0, sharedHolders: 0 });
+    });
+  });
+
+  describe('#waitForRelease()', () => {
+    it('should resolve once the subscriber is notified of the release', async () => {
+      const subscriber = new EventEmitter();
+      subscriber.query = sinon.stub().resolves();
+
+      const notifiedBackend = new PostgresBackend({ pool, subscriber });
+      const waiting = notifiedBackend.waitForRelease(['lock-key'], 60000);
+
+      subscriber.emit('notification', { channel: 'mutex_locks_released', payload: 'lock-key' });
+
+      await expect(waiting).to.be.fulfilled;
+      expect(subscriber.query).to.be.calledOnceWith('LISTEN "mutex_locks_released"');
+    });
+  });
+
+  describe('#saveResult()', () => {
+    it('should store the outcome until its TTL expires', async () => {
+      await backend.saveResult('lock-key', { value: { id: 1 } }, 100);
+      await backend.saveResult('lock-key', { value: { id: 2 } }, 100);
+
+      expect(await backend.loadResult('lock-key')).to.deep.equal({ value: { id: 2 } });
+
+      clock.tick(100);
+
+      expect(await backend.loadResult('lock-key')).to.be.null;
+    });
+  });
+
+  describe('#saveMetadata()', () => {
+    it('should store the metadata of each holder until it expires', async () => {
+      await backend.saveMetadata('lock-key', 'first', { label: 'first' }, 100);
+      await backend.saveMetadata('lock-key', 'second', { label: 'second' }, 200);
+      await backend.saveMetadata('lock-key', 'first', { label: 'first', extendCount: 1 }, 100);
+
+      expect(await backend.loadMetadata('lock-key')).to.have.deep.members([{ label: 'first', extendCount: 1 }, { label: 'second' }]);
+
+      clock.tick(100);
+
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([{ label: 'second' }]);
+
+      await backend.removeMetadata('lock-key', 'second');
+
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([]);
+    });
+  });
+
+  describe('#listLocks()', () => {
+    it('should list the keys with live metadata matching the pattern', async () => {
+      await backend.saveMetadata('invoice:batch', 'value', {}, 200);
+      await backend.saveMetadata('invoice:42', 'value', {}, 100);
+      await backend.saveMetadata('invoice:42', 'other-value', {}, 100);
+      await backend.saveMetadata('payment:42', 'value', {}, 200);
+
+      expect(await backend.listLocks('invoice:*')).to.deep.equal(['invoice:42', 'invoice:batch']);
+
+      clock.tick(100);
+
+      expect(await backend.listLocks('*')).to.deep.equal(['invoice:batch', 'payment:42']);
+    });
+  });
+
+  describe('#forceRelease()', () => {
+    it('should evict every holder and record the entry', async () => {
+      const lock = await backend.acquire('lock-key', { mode: 'exclusive', value: 'holder', ttl: 100 });
+
+      await backend.acquire('semaphore-key', { mode: 'semaphore', value: 'slot', ttl: 100, limit: 1 });
+      await backend.saveMetadata('lock-key', 'holder', { label: 'label' }, 100);
+
+      expect(await backend.forceRelease('lock-key', { reason: 'Hung worker' })).to.deep.equal({ reason: 'Hung worker', evicted: ['holder'] });
+      expect(await backend.forceRelease('semaphore-key', { reason: 'Hung worker' })).to.deep.equal({ reason: 'Hung worker', evicted: ['slot'] });
+      expect(await backend.loadMetadata('lock-key')).to.deep.equal([]);
+      await expect(lock.extend(100)).to.be.rejectedWith(LockError);
+
+      const nextLock = await backend.acquire('lock-key', { mode: 'exclusive', ttl: 100 });
+
+      expect(nextLock.fencingToken).to.equal(2);
+      expect(await backend.loadAuditTrail('lock-key')).to.deep.equal([{ reason: 'Hung worker', evicted: ['holder'] }]);
+    });
+
+    it('should evict the readers', async () => {
+      await backend.acquire('lock-key', { mode: 'read', value: 'reader', ttl: 100 });
+      await backend.acquire('lock-key', { mode: 'write', value: 'writer', ttl: 100 }).catch(_.noop);
+
+      expect((await backend.forceRelease('lock-key', { reason: 'Hung reader' })).evicted).to.deep.equal(['reader']);
+      await expect(backend.acquire('lock-key', { mode: 'read', ttl: 100 })).to.be.fulfilled;
+    });
+
+    it('should keep the last entries of the audit trail, the most recent first', async () => {
+      for (let i = 0; i < 102; i++) {
+        await backend.forceRelease('lock-key', { reason: `#${i}` });
+      }
+
+      const entries = await backend.loadAuditTrail('lock-key');
+
+      expect(entries).to.have.lengthOf(100);
+      expect(_.map([_.first(entries), _.last(entries)], 'reason')).to.deep.equal(['#101', '#2']);
+    });
+  });
+
+  describe('with the mutex client', () => {
+    it('should run the functions exclusively', async () => {
+      const mutexClient = mutex.initialize({ backend });
+      const fencingTokens = [];
+
+      await mutexClient.run(({ fencingTokens: tokens }) => fencingTokens.push(tokens['lock-key1']), { lockKey: ['lock-key1', 'lock-key2'] });
+      await mutexClient.runExclusive(({ fencingToken }) => fencingTokens.push(fencingToken), { lockKey: 'lock-key1' });
+
+      expect(fencingTokens).to.deep.equal([1, 2]);
+      expect(await mutexClient.isLocked('lock-key1')).to.be.false;
+    });
+
+    it('should cancel the function with ExtendLockError when the lock is lost', async () => {
+      clock.restore();
+
+      const mutexClient = mutex.initialize({ backend, extendLockBufferOffset: 50 });
+
+      const deferred = mutexClient.run(async () => {
+        await pool.query('UPDATE mutex_locks SET value = NULL, expiration = 0');
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }, { lockKey: 'lock-key', lockTtl: 100 });
+
+      await expect(deferred).to.be.rejectedWith(ExtendLockError);
+    });
+
+    it('should reject with UnlockError when the lock can not be released', async () => {
+      const mutexClient = mutex.initialize({ backend });
+
+      const deferred = mutexClient.run(() => {
+        sinon.stub(pool, 'query').rejects(new Error('Connection lost'));
+      }, { lockKey: 'lock-key' });
+
+      await expect(deferred).to.be.rejectedWith(UnlockError);
+    });
+  });
+});
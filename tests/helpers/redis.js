@@ -0,0 +1,11 @@
+const sinon = require('sinon');
+
+/**
+ * A stub of a redis client whose scripts all reply with the given response.
+ *
+ * @param {*} response
+ * @returns {Object}
+ */
+exports.createClient = response => ({
+  eval: sinon.stub().yields(null, response)
+});
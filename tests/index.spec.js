@@ -1,32 +1,60 @@
 const _ = require('lodash');
 const Bluebird = require('bluebird');
 const chai = require('chai');
+const EventEmitter = require('events');
+const os = require('os');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire').noCallThru();
 const Redlock = require('redlock');
 
-const { ExtendLockError, LockError, UnlockError } = require('../src/errors');
+const { MemoryBackend } = require('../src/backends');
+const { ClientClosedError, ExtendLockError, LockError, LockStolenError, LockTimeoutError, UnlockError } = require('../src/errors');
+const scripts = require('../src/scripts');
 
 chai.use(require('sinon-chai'));
 chai.use(require('chai-as-promised'));
 
 const expect = chai.expect;
 
+// The lock context only carries a `signal` on the runtimes providing `AbortController`
+const itWithSignal = (typeof AbortController === 'undefined') ? it.skip : it;
+const contextWithSignal = (typeof AbortController === 'undefined') ? context.skip : context;
+// The reentrant mode requires `AsyncLocalStorage`
+const itWithAsyncLocalStorage = require('async_hooks').AsyncLocalStorage ? it : it.skip;
+
+/**
+ * The stubs of the mutex module making its default redis backend use the given redlock stub.
+ */
+const redisBackendWith = RedLockStub => ({
+  './backends': { RedisBackend: proxyquire('../src/backends/redis-backend', { 'redlock': RedLockStub }) }
+});
+
+/**
+ * A mutex client storing the locks in memory unless another backend is given.
+ */
+const createMutexClient = options => require('../src/index').initialize(_.assign({ backend: new MemoryBackend() }, options));
+
 describe('run()', () => {
   const unlockerStub = {
+    resource: 'lock-key',
     unlock: _.noop,
     extend: _.noop
   };
 
+  // Generates the fencing tokens
+  const redisClient = {
+    eval: sinon.stub().yields(null, 1)
+  };
+
   const RedLockStub = function () {  };
   RedLockStub.LockError = LockError;
   RedLockStub.prototype.lock = _.noop;
 
   const rewiredMutexModule = proxyquire(
       '../src/index',
-      { 'redlock': RedLockStub }
+      redisBackendWith(RedLockStub)
     )
-    .initialize({ redisClients: [] });
+    .initialize({ redisClients: [redisClient] });
 
   context('when lock key is invalid', () => {
     const dummyFunction = sinon.stub();
@@ -113,6 +141,79 @@ describe('run()', () => {
     });
   });
 
+  context('when the lock is acquired', () => {
+    const dummyFunction = sinon.stub();
+    const lock = _.assign({ resource: 'lock-key', value: 'lock-value' }, unlockerStub);
+
+    before('setup stubs', async () => {
+      redisClient.eval.resetHistory();
+      redisClient.eval.yields(null, 42);
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise).resolves(lock);
+
+      await rewiredMutexModule.run(dummyFunction, {
+        lockKey: 'lock-key'
+      });
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.yields(null, 1);
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should generate the fencing token of the lock', () => {
+      expect(redisClient.eval.withArgs(scripts.FENCE)).to.be.calledOnceWith(
+        scripts.FENCE,
+        2,
+        'lock-key',
+        '{lock-key}:fencing',
+        'lock-value'
+      );
+    });
+
+    it('should pass the fencing token to the provided function', () => {
+      expect(dummyFunction).to.be.calledOnceWith(sinon.match({
+        lockKey: 'lock-key',
+        fencingToken: 42,
+        fencingTokens: { 'lock-key': 42 }
+      }));
+    });
+  });
+
+  context('when the lock is lost before the fencing token is generated', () => {
+    const dummyFunction = sinon.stub();
+
+    before('setup stubs', () => {
+      redisClient.eval.yields(null, 0);
+
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .resolves();
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise).resolves(unlockerStub);
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.yields(null, 1);
+      unlockerStub.unlock.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should unlock and reject with LockError', async () => {
+      const deferred = rewiredMutexModule.run(dummyFunction, {
+        lockKey: 'lock-key'
+      });
+
+      await expect(deferred).to.be.rejectedWith(LockError);
+      expect(unlockerStub.unlock).to.be.calledOnce;
+      expect(dummyFunction).to.be.not.called;
+    });
+  });
+
   context('when lock throws Redlock.LockError', () => {
     context('and it has `attempts` property', () => {
       const dummyFunction = sinon.stub();
@@ -183,6 +284,213 @@ describe('run()', () => {
     });
   });
 
+  context('when a retry policy is given', () => {
+    const retryPolicy = { maxAttempts: 3, retryDelay: 10, jitter: 0 };
+
+    context('and the lock key is released before the policy is exhausted', () => {
+      const dummyFunction = sinon.stub();
+
+      before('setup stubs', async () => {
+        sinon
+          .stub(unlockerStub, 'unlock')
+          .resolves();
+
+        sinon.stub(global, 'setInterval')
+        sinon.stub(global, 'clearInterval')
+
+        sinon
+          .stub(RedLockStub.prototype, 'lock')
+          .usingPromise(Bluebird.Promise)
+          .resolves(unlockerStub)
+          .onFirstCall()
+          .rejects(new LockError('asd', 1));
+
+        await rewiredMutexModule.run(dummyFunction, {
+          lockKey: 'lock-key',
+          retry: retryPolicy
+        });
+      });
+
+      after('reset stubs', () => {
+        unlockerStub.unlock.restore();
+        global.setInterval.restore();
+        global.clearInterval.restore();
+        RedLockStub.prototype.lock.restore();
+      });
+
+      it('should retry the lock', () => {
+        expect(RedLockStub.prototype.lock).to.be.calledTwice;
+      });
+
+      it('should call provided function', () => {
+        expect(dummyFunction).to.be.calledOnce;
+      });
+    });
+
+    context('and the lock key is never released', () => {
+      const dummyFunction = sinon.stub();
+
+      before('setup stubs', () => {
+        sinon
+          .stub(RedLockStub.prototype, 'lock')
+          .usingPromise(Bluebird.Promise)
+          .rejects(new LockError('asd', 1));
+      });
+
+      after('reset stubs', () => {
+        RedLockStub.prototype.lock.restore();
+      });
+
+      it('should reject with LockError carrying the attempts and the wait time', async () => {
+        const error = await rewiredMutexModule
+          .run(dummyFunction, { lockKey: 'lock-key', retry: retryPolicy })
+          .catch(_.identity);
+
+        expect(error).to.be.instanceOf(LockError);
+        expect(error.attempts).to.equal(3);
+        expect(error.waitTime).to.be.a('number');
+        expect(error.contendedKeys).to.deep.equal(['lock-key']);
+        expect(RedLockStub.prototype.lock).to.be.calledThrice;
+        expect(dummyFunction).to.be.not.called;
+      });
+    });
+  });
+
+  context('when a subscriber is given', () => {
+    const subscriber = Object.assign(new EventEmitter(), {
+      subscribe: sinon.spy(),
+      unsubscribe: sinon.spy()
+    });
+    const notifiedMutexModule = proxyquire('../src/index', redisBackendWith(RedLockStub))
+      .initialize({ redisClients: [redisClient], subscriber });
+    const dummyFunction = sinon.stub();
+    let elapsedTime;
+
+    before('setup stubs', async () => {
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .resolves();
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub)
+        .onFirstCall()
+        .rejects(new LockError('asd', 1));
+
+      const startedAt = Date.now();
+
+      setTimeout(() => subscriber.emit('message', 'lock-key:released', 'lock-key'), 20);
+
+      await notifiedMutexModule.run(dummyFunction, {
+        lockKey: 'lock-key',
+        retry: { retryDelay: 1000, jitter: 0 }
+      });
+
+      elapsedTime = Date.now() - startedAt;
+    });
+
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should retry as soon as the lock key is released', () => {
+      expect(RedLockStub.prototype.lock).to.be.calledTwice;
+      expect(elapsedTime).to.be.below(500);
+      expect(subscriber.subscribe).to.be.calledOnceWith('lock-key:released');
+      expect(subscriber.unsubscribe).to.be.calledOnceWith('lock-key:released');
+    });
+
+    it('should call provided function', () => {
+      expect(dummyFunction).to.be.calledOnce;
+    });
+
+    it('should publish the release of the lock key', () => {
+      expect(redisClient.eval).to.be.calledWith(scripts.PUBLISH, 0, 'lock-key:released', 'lock-key');
+    });
+  });
+
+  context('when the same lock key is run concurrently in this process', () => {
+    const order = [];
+    let maxLocksInFlight = 0;
+
+    before('setup stubs', async () => {
+      let locksInFlight = 0;
+
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .resolves();
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .callsFake(() => {
+          locksInFlight++;
+          maxLocksInFlight = Math.max(maxLocksInFlight, locksInFlight);
+
+          return Bluebird.delay(10).then(() => {
+            locksInFlight--;
+
+            return unlockerStub;
+          });
+        });
+
+      const runConcurrently = index => rewiredMutexModule.run(() => {
+        order.push(index);
+
+        return Bluebird.delay(10);
+      }, {
+        lockKey: 'lock-key',
+        retry: { retryDelay: 1000, jitter: 0 }
+      });
+
+      await Bluebird.all(_.times(3, runConcurrently));
+    });
+
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should acquire the lock from redis once per caller, one at a time', () => {
+      expect(RedLockStub.prototype.lock).to.be.calledThrice;
+      expect(maxLocksInFlight).to.equal(1);
+    });
+
+    it('should run the functions in arrival order', () => {
+      expect(order).to.deep.equal([0, 1, 2]);
+    });
+  });
+
+  context('when the same lock key is run concurrently in this process without retries', () => {
+    before('setup stubs', () => {
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .resolves();
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub);
+    });
+
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should reject the later caller with LockError without hitting redis', async () => {
+      const deferred = rewiredMutexModule.run(() => Bluebird.delay(10), { lockKey: 'lock-key' });
+      const error = await rewiredMutexModule.run(_.noop, { lockKey: 'lock-key' }).catch(_.identity);
+
+      await deferred;
+
+      expect(error).to.be.instanceOf(LockError);
+      expect(error.contendedKeys).to.deep.equal(['lock-key']);
+      expect(RedLockStub.prototype.lock).to.be.calledOnce;
+    });
+  });
+
   context('when the provided function throws an error', () => {
     const errorDummyFunction = sinon
       .stub()
@@ -403,62 +711,357 @@ describe('run()', () => {
     it('should extend lock TTL 20 times', () => {
       expect(unlockerStub.extend).to.be.callCount(20);
     });
-  });
-
-  context('when using multiple lock key', () => {
-    const lockKeys = ['lock-key1', 'lock-key2', 'lock-key3'];
-    const lockKeyCount = lockKeys.length;
-
-    context('and no error occurs', () => {
-      const dummyFunction = sinon.stub();
 
-      before('setup stubs', async () => {
-        sinon
-          .stub(unlockerStub, 'unlock')
-          .resolves();
+    it('should report the extend lock limit', () => {
+      return expect(deferred).to.be.rejected.and.eventually.have.property('extendLockLimit', 20);
+    });
+  });
 
-        sinon.stub(global, 'setInterval')
-        sinon.stub(global, 'clearInterval')
+  context('when maxExtendLockCount is given', () => {
+    let deferred;
 
-        sinon
-          .stub(RedLockStub.prototype, 'lock')
-          .usingPromise(Bluebird.Promise).resolves(unlockerStub);
+    before('setup stubs', () => {
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .usingPromise(Bluebird.Promise)
+        .resolves();
 
-        await rewiredMutexModule.run(dummyFunction, {
-          lockKey: lockKeys
-        });
-      });
+      sinon
+        .stub(unlockerStub, 'extend')
+        .usingPromise(Bluebird.Promise)
+        .resolves();
 
-      after('reset stubs', () => {
-        unlockerStub.unlock.restore();
-        global.setInterval.restore();
-        global.clearInterval.restore();
-        RedLockStub.prototype.lock.restore();
-      });
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub);
+    });
 
-      it('should call lock', () => {
-        expect(RedLockStub.prototype.lock).to.have.callCount(lockKeyCount);
+    before('run function within mutex', () => {
+      deferred = rewiredMutexModule.run(() => Bluebird.delay(1000), {
+        lockKey: 'lock-key',
+        lockTtl: 110,
+        maxExtendLockCount: 2
       });
 
-      it('should call unlock', () => {
-        expect(unlockerStub.unlock).to.have.callCount(lockKeyCount);
-      });
+      return deferred.catch(_.noop);
+    })
 
-      it('should call provided function', () => {
-        expect(dummyFunction).to.be.calledOnce;
-      });
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      unlockerStub.extend.restore();
+      RedLockStub.prototype.lock.restore();
+    });
 
-      it('should call global.setInterval', () => {
-        expect(global.setInterval).to.be.calledOnce;
-      });
+    it('should throw ExtendLockError with the given limit', () => {
+      return expect(deferred)
+        .to.be.rejectedWith(ExtendLockError)
+        .and.eventually.have.property('extendLockLimit', 2);
+    });
 
-      it('should call global.clearInterval', () => {
-        expect(global.clearInterval).to.be.calledOnce;
-      });
+    it('should extend lock TTL 2 times', () => {
+      expect(unlockerStub.extend).to.be.calledTwice;
     });
+  });
 
-    context('when the provided function throws an error', () => {
-      const errorDummyFunction = sinon
+  context('when the provided function runs longer than maxDuration', () => {
+    let context;
+    let deferred;
+
+    before('setup stubs', () => {
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .usingPromise(Bluebird.Promise)
+        .resolves();
+
+      sinon
+        .stub(unlockerStub, 'extend')
+        .usingPromise(Bluebird.Promise)
+        .resolves();
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub);
+    });
+
+    before('run function within mutex', () => {
+      deferred = rewiredMutexModule.run((lockContext) => {
+        context = lockContext;
+
+        return Bluebird.delay(1000);
+      }, {
+        lockKey: 'lock-key',
+        lockTtl: 110,
+        maxDuration: 200
+      });
+
+      return deferred.catch(_.noop);
+    })
+
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      unlockerStub.extend.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should throw LockTimeoutError reporting the elapsed time', async () => {
+      const error = await deferred.catch(_.identity);
+
+      expect(error).to.be.instanceOf(LockTimeoutError);
+      expect(error.maxDuration).to.equal(200);
+      expect(error.elapsedTime).to.be.within(190, 300);
+    });
+
+    itWithSignal('should abort the signal with LockTimeoutError', () => {
+      expect(context.signal.reason).to.be.instanceOf(LockTimeoutError);
+    });
+
+    it('should call unlock', () => {
+      expect(unlockerStub.unlock).to.be.calledOnce;
+    });
+  });
+
+  contextWithSignal('when the lock is lost while the provided function is running', () => {
+    let context;
+    let deferred;
+
+    before('setup stubs', () => {
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .usingPromise(Bluebird.Promise)
+        .resolves();
+
+      sinon
+        .stub(unlockerStub, 'extend')
+        .usingPromise(Bluebird.Promise)
+        .resolves()
+        .onSecondCall()
+        .rejects(new LockError('Unable to extend'));
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub);
+    });
+
+    before('run function within mutex', () => {
+      // A native async function, which can't be cancelled by bluebird
+      deferred = rewiredMutexModule.run(async (lockContext) => {
+        context = lockContext;
+
+        await new Promise(resolve => lockContext.signal.addEventListener('abort', resolve));
+      }, {
+        lockKey: 'lock-key',
+        lockTtl: 150
+      });
+
+      return deferred.catch(_.noop);
+    });
+
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      unlockerStub.extend.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should pass the lock context to the provided function', () => {
+      expect(context).to.include({ lockKey: 'lock-key', lockTtl: 150, extendCount: 2 });
+    });
+
+    it('should abort the signal with ExtendLockError', () => {
+      expect(context.signal.aborted).to.be.true;
+      expect(context.signal.reason).to.be.instanceOf(ExtendLockError);
+    });
+
+    it('should reject with ExtendLockError', () => {
+      return expect(deferred).to.be.rejectedWith(ExtendLockError);
+    });
+  });
+
+  context('when using multiple lock key', () => {
+    const lockKeys = ['lock-key1', 'lock-key2', 'lock-key3'];
+    const lockKeyCount = lockKeys.length;
+
+    context('and no error occurs', () => {
+      const dummyFunction = sinon.stub();
+
+      before('setup stubs', async () => {
+        sinon
+          .stub(unlockerStub, 'unlock')
+          .resolves();
+
+        sinon.stub(global, 'setInterval')
+        sinon.stub(global, 'clearInterval')
+
+        sinon
+          .stub(RedLockStub.prototype, 'lock')
+          .usingPromise(Bluebird.Promise).resolves(unlockerStub);
+
+        await rewiredMutexModule.run(dummyFunction, {
+          lockKey: lockKeys
+        });
+      });
+
+      after('reset stubs', () => {
+        unlockerStub.unlock.restore();
+        global.setInterval.restore();
+        global.clearInterval.restore();
+        RedLockStub.prototype.lock.restore();
+      });
+
+      it('should call lock', () => {
+        expect(RedLockStub.prototype.lock).to.have.callCount(lockKeyCount);
+      });
+
+      it('should call unlock', () => {
+        expect(unlockerStub.unlock).to.have.callCount(lockKeyCount);
+      });
+
+      it('should call provided function', () => {
+        expect(dummyFunction).to.be.calledOnce;
+      });
+
+      it('should call global.setInterval', () => {
+        expect(global.setInterval).to.be.calledOnce;
+      });
+
+      it('should call global.clearInterval', () => {
+        expect(global.clearInterval).to.be.calledOnce;
+      });
+    });
+
+    context('and the lock keys are unordered and contain duplicates', () => {
+      const dummyFunction = sinon.stub();
+
+      before('setup stubs', async () => {
+        sinon
+          .stub(unlockerStub, 'unlock')
+          .resolves();
+
+        sinon.stub(global, 'setInterval')
+        sinon.stub(global, 'clearInterval')
+
+        sinon
+          .stub(RedLockStub.prototype, 'lock')
+          .usingPromise(Bluebird.Promise).resolves(unlockerStub);
+
+        await rewiredMutexModule.run(dummyFunction, {
+          lockKey: ['lock-key3', 'lock-key1', 'lock-key2', 'lock-key1']
+        });
+      });
+
+      after('reset stubs', () => {
+        unlockerStub.unlock.restore();
+        global.setInterval.restore();
+        global.clearInterval.restore();
+        RedLockStub.prototype.lock.restore();
+      });
+
+      it('should lock every distinct key once in a sorted order', () => {
+        expect(RedLockStub.prototype.lock).to.have.callCount(lockKeyCount);
+        expect(RedLockStub.prototype.lock.firstCall).to.be.calledWith('lock-key1');
+        expect(RedLockStub.prototype.lock.secondCall).to.be.calledWith('lock-key2');
+        expect(RedLockStub.prototype.lock.thirdCall).to.be.calledWith('lock-key3');
+      });
+
+      it('should unlock every distinct key once', () => {
+        expect(unlockerStub.unlock).to.have.callCount(lockKeyCount);
+      });
+    });
+
+    context('and one of the lock keys is contended', () => {
+      const dummyFunction = sinon.stub();
+      let deferred;
+
+      before('setup stubs', () => {
+        sinon
+          .stub(unlockerStub, 'unlock')
+          .resolves();
+
+        sinon.stub(global, 'setInterval')
+        sinon.stub(global, 'clearInterval')
+
+        sinon
+          .stub(RedLockStub.prototype, 'lock')
+          .usingPromise(Bluebird.Promise)
+          .resolves(unlockerStub)
+          .withArgs('lock-key2')
+          .rejects(new LockError('asd', 1));
+      });
+
+      before('run function within mutex', () => {
+        deferred = rewiredMutexModule.run(dummyFunction, {
+          lockKey: lockKeys
+        });
+
+        return deferred.catch(_.noop);
+      });
+
+      after('reset stubs', () => {
+        unlockerStub.unlock.restore();
+        global.setInterval.restore();
+        global.clearInterval.restore();
+        RedLockStub.prototype.lock.restore();
+      });
+
+      it('should reject with LockError reporting the contended keys', () => {
+        return expect(deferred)
+          .to.be.rejectedWith(LockError)
+          .and.eventually.have.property('contendedKeys')
+          .that.deep.equals(['lock-key2']);
+      });
+
+      it('should unlock the acquired lock keys', () => {
+        expect(unlockerStub.unlock).to.be.calledOnce;
+      });
+
+      it('should not try to lock the remaining lock keys', () => {
+        expect(RedLockStub.prototype.lock).to.be.calledTwice;
+        expect(RedLockStub.prototype.lock).to.not.be.calledWith('lock-key3');
+      });
+
+      it('should not call the provided function', () => {
+        expect(dummyFunction).to.be.not.called;
+        expect(global.setInterval).to.be.not.called;
+      });
+    });
+
+    context('and locking one of the lock keys fails unexpectedly', () => {
+      const dummyFunction = sinon.stub();
+      const redisError = new Error('Connection lost');
+
+      before('setup stubs', () => {
+        sinon
+          .stub(unlockerStub, 'unlock')
+          .resolves();
+
+        sinon
+          .stub(RedLockStub.prototype, 'lock')
+          .usingPromise(Bluebird.Promise)
+          .resolves(unlockerStub)
+          .withArgs('lock-key3')
+          .rejects(redisError);
+      });
+
+      after('reset stubs', () => {
+        unlockerStub.unlock.restore();
+        RedLockStub.prototype.lock.restore();
+      });
+
+      it('should unlock the acquired lock keys and reject with the original error', async () => {
+        const deferred = rewiredMutexModule.run(dummyFunction, {
+          lockKey: lockKeys
+        });
+
+        await expect(deferred).to.be.rejectedWith(redisError);
+        expect(unlockerStub.unlock).to.have.callCount(lockKeyCount - 1);
+        expect(dummyFunction).to.be.not.called;
+      });
+    });
+
+    context('when the provided function throws an error', () => {
+      const errorDummyFunction = sinon
         .stub()
         .usingPromise(Bluebird.Promise)
         .rejects(new Error('Some random error'));
@@ -616,3 +1219,1384 @@ describe('run()', () => {
 
 });
 
+describe('run() in fair mode', () => {
+  const redisClient = { eval: _.noop };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  context('when the waiters ahead are done before the policy is exhausted', () => {
+    const dummyFunction = sinon.stub();
+
+    before('setup stubs', async () => {
+      sinon
+        .stub(redisClient, 'eval')
+        .yields(null, 1)
+        .withArgs(scripts.FAIR_LOCK)
+        .onFirstCall()
+        .yields(null, [0, 2])
+        .onSecondCall()
+        .yields(null, [1, 0]);
+
+      await rewiredMutexModule.run(dummyFunction, {
+        lockKey: 'lock-key',
+        fair: true,
+        retry: { maxAttempts: 2, retryDelay: 10 }
+      });
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should wait in the queue with the same value on every attempt', () => {
+      const lockCalls = redisClient.eval.withArgs(scripts.FAIR_LOCK).getCalls();
+
+      expect(lockCalls).to.have.lengthOf(2);
+      expect(lockCalls[0]).to.be.calledWith(
+        scripts.FAIR_LOCK,
+        4,
+        'lock-key',
+        '{lock-key}:queue',
+        '{lock-key}:queue:expiration',
+        '{lock-key}:queue:counter'
+      );
+      expect(lockCalls[0].args[6]).to.equal(lockCalls[1].args[6]);
+    });
+
+    it('should call provided function', () => {
+      expect(dummyFunction).to.be.calledOnce;
+    });
+
+    it('should release the lock', () => {
+      expect(redisClient.eval).to.be.calledWith(scripts.UNLOCK, 3, 'lock-key');
+    });
+
+    it('should not leave the queue', () => {
+      expect(redisClient.eval.withArgs(scripts.FAIR_DEQUEUE)).to.be.not.called;
+    });
+  });
+
+  context('when the policy is exhausted', () => {
+    const dummyFunction = sinon.stub();
+    let error;
+
+    before('setup stubs', async () => {
+      sinon
+        .stub(redisClient, 'eval')
+        .yields(null, 1)
+        .withArgs(scripts.FAIR_LOCK)
+        .yields(null, [0, 3]);
+
+      error = await rewiredMutexModule
+        .run(dummyFunction, {
+          lockKey: 'lock-key',
+          fair: true,
+          retry: { maxAttempts: 2, retryDelay: 10 }
+        })
+        .catch(_.identity);
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should reject with LockError carrying the queue position', () => {
+      expect(error).to.be.instanceOf(LockError);
+      expect(error.queuePosition).to.equal(3);
+      expect(dummyFunction).to.be.not.called;
+    });
+
+    it('should leave the queue', () => {
+      expect(redisClient.eval.lastCall).to.be.calledWith(scripts.FAIR_DEQUEUE, 4, 'lock-key');
+    });
+  });
+});
+
+describe('acquire()', () => {
+  const unlockerStub = {
+    resource: 'lock-key',
+    unlock: _.noop,
+    extend: _.noop
+  };
+
+  // Generates the fencing tokens
+  const redisClient = {
+    eval: sinon.stub().yields(null, 1)
+  };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+  RedLockStub.prototype.lock = _.noop;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  context('when the lock key is invalid', () => {
+    it('should reject with an error', () => {
+      return expect(rewiredMutexModule.acquire({ lockKey: [] })).to.be.rejected;
+    });
+  });
+
+  context('when the lock is acquired', () => {
+    let handle;
+
+    before('setup stubs', async () => {
+      sinon
+        .stub(unlockerStub, 'unlock')
+        .resolves();
+
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(_.assign({ expiration: Date.now() + 1000 }, unlockerStub));
+
+      handle = await rewiredMutexModule.acquire({ lockKey: ['lock-key2', 'lock-key1'] });
+    });
+
+    after('reset stubs', () => {
+      unlockerStub.unlock.restore();
+      RedLockStub.prototype.lock.restore();
+    });
+
+    it('should lock every key', () => {
+      expect(RedLockStub.prototype.lock).to.be.calledTwice;
+    });
+
+    it('should resolve a handle holding the lock', () => {
+      expect(handle.isHeld()).to.be.true;
+      expect(handle.remainingTtl()).to.be.within(900, 1000);
+    });
+
+    it('should release the lock through the handle', async () => {
+      await handle.release();
+
+      expect(unlockerStub.unlock).to.be.calledTwice;
+      expect(handle.isHeld()).to.be.false;
+    });
+  });
+});
+
+describe('runShared()', () => {
+  const redisClient = { eval: _.noop };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  context('when no error occurs', () => {
+    const dummyFunction = sinon.stub();
+
+    before('setup stubs', async () => {
+      sinon.stub(redisClient, 'eval').yields(null, 1);
+
+      await rewiredMutexModule.runShared(dummyFunction, { lockKey: 'lock-key' });
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should acquire the shared lock', () => {
+      expect(redisClient.eval.firstCall).to.be.calledWith(
+        scripts.READ_LOCK,
+        3,
+        '{lock-key}:readers',
+        'lock-key',
+        '{lock-key}:writer-intent'
+      );
+    });
+
+    it('should call provided function', () => {
+      expect(dummyFunction).to.be.calledOnce;
+    });
+
+    it('should store the metadata of the holder', () => {
+      expect(redisClient.eval).to.be.calledWith(scripts.SET_METADATA, 1, '{lock-key}:metadata');
+    });
+
+    it('should release the shared lock', () => {
+      expect(redisClient.eval).to.be.calledWith(scripts.HOLDER_UNLOCK, 3, '{lock-key}:readers');
+    });
+  });
+
+  context('when an exclusive holder is holding the lock', () => {
+    const dummyFunction = sinon.stub();
+
+    before('setup stubs', () => {
+      sinon.stub(redisClient, 'eval').yields(null, 0);
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should reject with LockError', async () => {
+      const deferred = rewiredMutexModule.runShared(dummyFunction, { lockKey: 'lock-key' });
+
+      await expect(deferred).to.be.rejectedWith(LockError);
+      expect(dummyFunction).to.be.not.called;
+    });
+  });
+
+  context('when the shared lock can\'t be released', () => {
+    before('setup stubs', () => {
+      sinon
+        .stub(redisClient, 'eval')
+        .yields(null, 1)
+        .withArgs(scripts.HOLDER_UNLOCK)
+        .yields(new Error('Connection lost'));
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should be rejected with UnlockError', () => {
+      const deferred = rewiredMutexModule.runShared(sinon.stub(), { lockKey: 'lock-key' });
+
+      return expect(deferred).to.be.rejectedWith(UnlockError);
+    });
+  });
+});
+
+describe('runExclusive()', () => {
+  const redisClient = { eval: _.noop };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  context('when the shared holders drain before the policy is exhausted', () => {
+    const dummyFunction = sinon.stub();
+
+    before('setup stubs', async () => {
+      sinon
+        .stub(redisClient, 'eval')
+        .yields(null, 1)
+        .withArgs(scripts.WRITE_LOCK)
+        .onFirstCall()
+        .yields(null, 0)
+        .onSecondCall()
+        .yields(null, 1);
+
+      await rewiredMutexModule.runExclusive(dummyFunction, {
+        lockKey: 'lock-key',
+        retry: { maxAttempts: 2, retryDelay: 10 }
+      });
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should claim its turn with the same value on every attempt', () => {
+      const lockCalls = redisClient.eval.withArgs(scripts.WRITE_LOCK).getCalls();
+
+      expect(lockCalls).to.have.lengthOf(2);
+      expect(lockCalls[0].args[2]).to.equal('lock-key');
+      expect(lockCalls[0].args[5]).to.equal(lockCalls[1].args[5]);
+    });
+
+    it('should call provided function', () => {
+      expect(dummyFunction).to.be.calledOnce;
+    });
+
+    it('should release the exclusive lock', () => {
+      expect(redisClient.eval).to.be.calledWith(scripts.UNLOCK, 3, 'lock-key');
+    });
+  });
+});
+
+describe('semaphore()', () => {
+  const redisClient = { eval: _.noop };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  context('when the limit is invalid', () => {
+    it('should reject with an error', async () => {
+      const dummyFunction = sinon.stub();
+      const deferred = rewiredMutexModule.semaphore(dummyFunction, { key: 'semaphore-key', limit: 0 });
+
+      await expect(deferred).to.be.rejected;
+      expect(dummyFunction).not.to.be.called;
+    });
+  });
+
+  context('when a slot is available', () => {
+    before('setup stubs', async () => {
+      sinon.stub(redisClient, 'eval').yields(null, 1);
+
+      await rewiredMutexModule.semaphore(() => Bluebird.delay(700), {
+        key: 'semaphore-key',
+        limit: 5,
+        ttl: 300
+      });
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should acquire a slot within the limit', () => {
+      expect(redisClient.eval.firstCall).to.be.calledWith(scripts.SEMAPHORE_LOCK, 1, 'semaphore-key');
+      expect(redisClient.eval.firstCall.args[5]).to.equal(5);
+    });
+
+    it('should extend the slot TTL 2 times', () => {
+      expect(redisClient.eval.withArgs(scripts.HOLDER_EXTEND)).to.be.calledTwice;
+    });
+
+    it('should release the slot', () => {
+      expect(redisClient.eval).to.be.calledWith(scripts.HOLDER_UNLOCK, 1, 'semaphore-key');
+    });
+  });
+
+  context('when every slot is taken', () => {
+    before('setup stubs', () => {
+      sinon.stub(redisClient, 'eval').yields(null, 0);
+    });
+
+    after('reset stubs', () => {
+      redisClient.eval.restore();
+    });
+
+    it('should reject with LockError', async () => {
+      const dummyFunction = sinon.stub();
+      const deferred = rewiredMutexModule.semaphore(dummyFunction, { key: 'semaphore-key', limit: 5 });
+
+      await expect(deferred).to.be.rejectedWith(LockError);
+      expect(dummyFunction).to.be.not.called;
+    });
+  });
+});
+
+describe('runOnce()', () => {
+  const redisClient = { eval: _.noop };
+  const unlockerStub = { resource: 'lock-key', value: 'lock-value', unlock: _.noop };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+  RedLockStub.prototype.lock = _.noop;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  afterEach('reset stubs', () => {
+    redisClient.eval.restore();
+    RedLockStub.prototype.lock.restore();
+  });
+
+  context('when the lock is acquired', () => {
+    beforeEach('setup stubs', () => {
+      sinon.stub(redisClient, 'eval').yields(null, 1).withArgs(scripts.GET_RESULT).yields(null, null);
+      sinon.stub(unlockerStub, 'unlock').resolves();
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub);
+    });
+
+    afterEach('reset stubs', () => {
+      unlockerStub.unlock.restore();
+    });
+
+    it('should run the function once for the concurrent callers of this process', async () => {
+      const dummyFunction = sinon.stub().resolves('value');
+      const results = await Bluebird.all([
+        rewiredMutexModule.runOnce(dummyFunction, { lockKey: 'lock-key' }),
+        rewiredMutexModule.runOnce(dummyFunction, { lockKey: 'lock-key' })
+      ]);
+
+      expect(results).to.deep.equal(['value', 'value']);
+      expect(dummyFunction).to.be.calledOnce;
+      expect(RedLockStub.prototype.lock).to.be.calledOnce;
+    });
+
+    it('should share the outcome through redis before releasing the lock', async () => {
+      await rewiredMutexModule.runOnce(() => 'value', { lockKey: 'lock-key', resultTtl: 2000 });
+
+      expect(redisClient.eval).to.be.calledWith(
+        scripts.SET_RESULT,
+        1,
+        '{lock-key}:result',
+        JSON.stringify({ value: 'value' }),
+        2000
+      );
+      expect(redisClient.eval.withArgs(scripts.SET_RESULT)).to.be.calledBefore(unlockerStub.unlock);
+    });
+
+    it('should reject with the rejection of the function', async () => {
+      const error = new Error('Failed to compute');
+
+      await expect(rewiredMutexModule.runOnce(() => Bluebird.reject(error), { lockKey: 'lock-key' }))
+        .to.be.rejectedWith(error);
+    });
+  });
+
+  context('when another process holds the lock', () => {
+    beforeEach('setup stubs', () => {
+      sinon
+        .stub(redisClient, 'eval')
+        .yields(null, 1)
+        .withArgs(scripts.GET_RESULT)
+        .onFirstCall()
+        .yields(null, null);
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .rejects(new LockError('asd', 1));
+    });
+
+    it('should resolve with the value shared by the other process', async () => {
+      const dummyFunction = sinon.stub();
+
+      redisClient.eval.withArgs(scripts.GET_RESULT).yields(null, JSON.stringify({ value: 'value' }));
+
+      const result = await rewiredMutexModule.runOnce(dummyFunction, {
+        lockKey: 'lock-key',
+        retry: { retryDelay: 10 }
+      });
+
+      expect(result).to.equal('value');
+      expect(dummyFunction).to.be.not.called;
+    });
+
+    it('should reject with the rejection shared by the other process', async () => {
+      redisClient.eval
+        .withArgs(scripts.GET_RESULT)
+        .yields(null, JSON.stringify({ error: { name: 'TypeError', message: 'Failed to compute', code: 42 } }));
+
+      const error = await rewiredMutexModule
+        .runOnce(_.noop, { lockKey: 'lock-key', retry: { retryDelay: 10 } })
+        .catch(_.identity);
+
+      expect(error).to.be.instanceOf(Error);
+      expect(error.name).to.equal('TypeError');
+      expect(error.message).to.equal('Failed to compute');
+      expect(error.code).to.equal(42);
+    });
+
+    it('should reject with LockError once the policy is exhausted', async () => {
+      redisClient.eval.withArgs(scripts.GET_RESULT).yields(null, null);
+
+      await expect(rewiredMutexModule.runOnce(_.noop, {
+        lockKey: 'lock-key',
+        retry: { maxAttempts: 2, retryDelay: 10 }
+      })).to.be.rejectedWith(LockError);
+    });
+  });
+});
+
+describe('tryRun()', () => {
+  const redisClient = { eval: sinon.stub().yields(null, 1) };
+  const unlockerStub = { resource: 'lock-key', unlock: _.noop };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+  RedLockStub.prototype.lock = _.noop;
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient], redlockOptions: { retryCount: 3, retryDelay: 10 } });
+
+  afterEach('reset stubs', () => {
+    RedLockStub.prototype.lock.restore();
+  });
+
+  context('when the lock is acquired', () => {
+    beforeEach('setup stubs', () => {
+      sinon.stub(unlockerStub, 'unlock').resolves();
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .resolves(unlockerStub);
+    });
+
+    afterEach('reset stubs', () => {
+      unlockerStub.unlock.restore();
+    });
+
+    it('should resolve with the value of the function', async () => {
+      const result = await rewiredMutexModule.tryRun(() => 'value', { lockKey: 'lock-key' });
+
+      expect(result).to.deep.equal({ acquired: true, value: 'value' });
+    });
+
+    it('should reject with the rejection of the function, even a LockError', async () => {
+      const error = new LockError('Nested lock is held', 1);
+
+      await expect(rewiredMutexModule.tryRun(() => Bluebird.reject(error), { lockKey: 'lock-key' }))
+        .to.be.rejectedWith(error);
+    });
+  });
+
+  context('when the lock is held by someone else', () => {
+    beforeEach('setup stubs', () => {
+      sinon
+        .stub(RedLockStub.prototype, 'lock')
+        .usingPromise(Bluebird.Promise)
+        .rejects(new LockError('asd', 1));
+    });
+
+    it('should resolve without calling the function after a single attempt', async () => {
+      const dummyFunction = sinon.stub();
+      const result = await rewiredMutexModule.tryRun(dummyFunction, { lockKey: 'lock-key' });
+
+      expect(result).to.deep.equal({ acquired: false });
+      expect(dummyFunction).to.be.not.called;
+      expect(RedLockStub.prototype.lock).to.be.calledOnce;
+    });
+  });
+});
+
+describe('getLockInfo()', () => {
+  const redisClient = { eval: sinon.stub().yields(null, [750, 0]) };
+
+  const mutexModule = proxyquire('../src/index', {}).initialize({ redisClients: [redisClient] });
+
+  it('should report the remaining TTL of the lock', async () => {
+    const info = await mutexModule.getLockInfo('lock-key');
+
+    expect(info).to.deep.equal({ locked: true, remainingTtl: 750, sharedHolders: 0 });
+    expect(redisClient.eval).to.be.calledWith(scripts.LOCK_INFO, 2, 'lock-key', '{lock-key}:readers');
+  });
+
+  it('should reject with an error when the lock key is invalid', () => {
+    return expect(mutexModule.getLockInfo(['lock-key'])).to.be.rejectedWith('Lock key must be a string');
+  });
+
+  describe('isLocked()', () => {
+    it('should resolve whether the lock is held', async () => {
+      await expect(mutexModule.isLocked('lock-key')).to.eventually.be.true;
+
+      redisClient.eval.yields(null, [0, 0]);
+
+      await expect(mutexModule.isLocked('lock-key')).to.eventually.be.false;
+    });
+  });
+});
+
+describe('leaderElection()', () => {
+  const redisClient = { eval: sinon.stub().yields(null, 1) };
+  const unlockerStub = { resource: 'leader-key', value: 'lock-value', unlock: sinon.stub().resolves() };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+  RedLockStub.prototype.lock = sinon.stub().resolves(unlockerStub);
+
+  const rewiredMutexModule = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  it('should throw an error when the key is invalid', () => {
+    expect(() => rewiredMutexModule.leaderElection({ key: ['leader-key'] })).to.throw('Leader election key must be a string');
+  });
+
+  it('should elect the process holding the lock of the key', async () => {
+    const election = rewiredMutexModule.leaderElection({ key: 'leader-key', ttl: 5000, signals: [] });
+    const context = await new Bluebird(resolve => election.once('elected', resolve));
+
+    expect(RedLockStub.prototype.lock).to.be.calledOnceWith('leader-key', 5000);
+    expect(context.fencingToken).to.equal(1);
+
+    await election.resign();
+
+    expect(unlockerStub.unlock).to.be.calledOnce;
+  });
+});
+
+describe('close()', () => {
+  const redisClient = { eval: sinon.stub().yields(null, 1) };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const createLock = () => ({ resource: 'lock-key', value: 'lock-value', unlock: sinon.stub().resolves() });
+  const createRedisMutexClient = () => proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  beforeEach('setup stubs', () => {
+    RedLockStub.prototype.lock = sinon.stub().callsFake(() => Bluebird.resolve(createLock()));
+  });
+
+  it('should wait for the running functions to settle within the drain timeout', async () => {
+    const mutexClient = createRedisMutexClient();
+    const deferred = mutexClient.run(() => Bluebird.delay(30).then(() => 'value'), { lockKey: 'lock-key' });
+
+    await Bluebird.delay(5);
+    await mutexClient.close({ drainTimeout: 500 });
+
+    expect(deferred.isFulfilled()).to.be.true;
+    expect(await deferred).to.equal('value');
+  });
+
+  itWithSignal('should cancel the functions still running after the drain timeout and release their locks', async () => {
+    const mutexClient = createRedisMutexClient();
+    let signal;
+
+    const deferred = mutexClient.run((context) => {
+      signal = context.signal;
+
+      return new Bluebird(_.noop);
+    }, { lockKey: 'lock-key' });
+
+    await Bluebird.delay(5);
+    await mutexClient.close({ drainTimeout: 20 });
+
+    const lock = await RedLockStub.prototype.lock.firstCall.returnValue;
+
+    await expect(deferred).to.be.rejectedWith(ClientClosedError);
+    expect(signal.aborted).to.be.true;
+    expect(lock.unlock).to.be.calledOnce;
+  });
+
+  it('should release the locks of the handles', async () => {
+    const mutexClient = createRedisMutexClient();
+    const handle = await mutexClient.acquire({ lockKey: 'lock-key' });
+
+    await mutexClient.close();
+
+    expect(handle.locks[0].unlock).to.be.calledOnce;
+    expect(handle.isHeld()).to.be.false;
+  });
+
+  it('should resign the leader elections', async () => {
+    const mutexClient = createRedisMutexClient();
+    const election = mutexClient.leaderElection({ key: 'leader-key', signals: [] });
+
+    await new Bluebird(resolve => election.once('elected', resolve));
+    await mutexClient.close();
+
+    expect(election.isLeader()).to.be.false;
+    expect(election.resigned).to.be.true;
+  });
+
+  it('should reject the calls made after closing', async () => {
+    const mutexClient = createRedisMutexClient();
+
+    await mutexClient.close();
+
+    await expect(mutexClient.run(_.noop, { lockKey: 'lock-key' })).to.be.rejectedWith(ClientClosedError);
+    await expect(mutexClient.acquire({ lockKey: 'lock-key' })).to.be.rejectedWith(ClientClosedError);
+    expect(() => mutexClient.leaderElection({ key: 'leader-key' })).to.throw(ClientClosedError);
+    expect(RedLockStub.prototype.lock).to.be.not.called;
+  });
+
+  it('should reject the pending acquisitions at their next attempt', async () => {
+    const mutexClient = createRedisMutexClient();
+
+    RedLockStub.prototype.lock = sinon.stub().usingPromise(Bluebird.Promise).rejects(new LockError('asd', 1));
+
+    const deferred = mutexClient.run(_.noop, { lockKey: 'lock-key', retry: { retryDelay: 20, jitter: 0 } });
+
+    await Bluebird.delay(5);
+    await mutexClient.close();
+
+    await expect(deferred).to.be.rejectedWith(ClientClosedError);
+    expect(RedLockStub.prototype.lock).to.be.calledOnce;
+  });
+});
+
+describe('lifecycle events', () => {
+  const redisClient = { eval: sinon.stub().yields(null, 1) };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const createLock = () => ({
+    resource: 'lock-key',
+    value: 'lock-value',
+    extend: sinon.stub().resolves(),
+    unlock: sinon.stub().resolves()
+  });
+
+  const mutexClient = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  let events;
+  const record = name => payload => events.push(_.assign({ name }, payload));
+  const eventNames = ['acquireAttempt', 'contended', 'acquired', 'extended', 'extendFailed', 'released', 'unlockFailed', 'cancelled'];
+
+  before('listen to the events', () => {
+    eventNames.forEach(name => mutexClient.on(name, record(name)));
+  });
+
+  after('stop listening to the events', () => {
+    eventNames.forEach(name => mutexClient.removeAllListeners(name));
+  });
+
+  beforeEach('setup stubs', () => {
+    events = [];
+    RedLockStub.prototype.lock = sinon.stub().callsFake(() => Bluebird.resolve(createLock()));
+  });
+
+  it('should emit the acquisition and release of the lock', async () => {
+    RedLockStub.prototype.lock.onFirstCall().callsFake(() => Bluebird.reject(new LockError('asd', 1)));
+
+    await mutexClient.run(() => Bluebird.delay(20), { lockKey: 'lock-key', retry: { retryDelay: 10 } });
+
+    expect(_.map(events, 'name')).to.deep.equal(['acquireAttempt', 'contended', 'acquireAttempt', 'acquired', 'released']);
+    expect(events[0]).to.deep.equal({ name: 'acquireAttempt', lockKey: 'lock-key', lockKeys: ['lock-key'], lockTtl: 1000, attempt: 1 });
+    expect(events[1]).to.include({ attempt: 1 });
+    expect(events[1].contendedKeys).to.deep.equal(['lock-key']);
+    expect(events[3]).to.include({ lockKey: 'lock-key', attempts: 2 });
+    expect(events[3].waitTime).to.be.at.least(5);
+    expect(events[4]).to.include({ lockKey: 'lock-key', extendCount: 0 });
+    expect(events[4].holdTime).to.be.at.least(15);
+  });
+
+  it('should emit the extensions of the lock', async () => {
+    await mutexClient.run(() => Bluebird.delay(80), { lockKey: 'lock-key', lockTtl: 100 });
+
+    expect(_.find(events, { name: 'extended' })).to.include({ lockKey: 'lock-key', extendCount: 1 });
+  });
+
+  it('should emit `extendFailed` and `cancelled` when the lock is lost', async () => {
+    const lock = createLock();
+
+    lock.extend.rejects(new LockError('Unable to extend', 1));
+    RedLockStub.prototype.lock.returns(Bluebird.resolve(lock));
+
+    await mutexClient
+      .run(() => Bluebird.delay(200), { lockKey: 'lock-key', lockTtl: 100 })
+      .catch(_.noop);
+
+    expect(_.find(events, { name: 'extendFailed' }).error.message).to.equal('Unable to extend');
+    expect(_.find(events, { name: 'cancelled' }).error).to.be.instanceOf(ExtendLockError);
+  });
+
+  it('should emit `unlockFailed` when the lock can\'t be released', async () => {
+    const lock = createLock();
+
+    lock.unlock.rejects(new Error('Connection lost'));
+    RedLockStub.prototype.lock.returns(Bluebird.resolve(lock));
+
+    await mutexClient.run(_.noop, { lockKey: 'lock-key' }).catch(_.noop);
+
+    expect(_.find(events, { name: 'unlockFailed' }).error).to.be.instanceOf(UnlockError);
+    expect(_.find(events, { name: 'released' })).to.be.undefined;
+  });
+
+  it('should not let a throwing listener break the lock', async () => {
+    const throwingListener = () => {
+      throw new Error('Listener error');
+    };
+
+    mutexClient.on('acquired', throwingListener);
+
+    await expect(mutexClient.run(() => 'value', { lockKey: 'lock-key' })).to.eventually.equal('value');
+
+    mutexClient.removeListener('acquired', throwingListener);
+  });
+});
+
+describe('tracing', () => {
+  const redisClient = { eval: sinon.stub().yields(null, 1) };
+
+  const RedLockStub = function () {  };
+  RedLockStub.LockError = LockError;
+
+  const createLock = () => ({
+    resource: 'lock-key',
+    value: 'lock-value',
+    extend: sinon.stub().resolves(),
+    unlock: sinon.stub().resolves()
+  });
+
+  // In-memory tracer with the shape of the OpenTelemetry `Tracer` API
+  const createTracer = () => {
+    const spans = [];
+    const startSpan = (name, { attributes }) => {
+      const span = {
+        name,
+        attributes: _.clone(attributes),
+        status: null,
+        exceptions: [],
+        ended: false,
+        setAttribute: (key, value) => { span.attributes[key] = value; },
+        setAttributes: (attributes) => { _.assign(span.attributes, attributes); },
+        setStatus: (status) => { span.status = status; },
+        recordException: (error) => { span.exceptions.push(error); },
+        end: () => { span.ended = true; }
+      };
+
+      spans.push(span);
+
+      return span;
+    };
+
+    return {
+      spans,
+      startSpan,
+      startActiveSpan: (name, options, fn) => fn(startSpan(name, options))
+    };
+  };
+
+  const mutexClient = proxyquire(
+      '../src/index',
+      redisBackendWith(RedLockStub)
+    )
+    .initialize({ redisClients: [redisClient] });
+
+  beforeEach('setup stubs', () => {
+    RedLockStub.prototype.lock = sinon.stub().callsFake(() => Bluebird.resolve(createLock()));
+  });
+
+  it('should trace the acquisition, the extensions, the critical section and the release', async () => {
+    const tracer = createTracer();
+
+    RedLockStub.prototype.lock.onFirstCall().callsFake(() => Bluebird.reject(new LockError('asd', 1)));
+
+    await mutexClient.run(() => Bluebird.delay(80), {
+      lockKey: 'lock-key',
+      lockTtl: 100,
+      retry: { retryDelay: 10 },
+      tracer
+    });
+
+    expect(_.map(tracer.spans, 'name')).to.deep.equal(['mutex.acquire', 'mutex.critical_section', 'mutex.extend', 'mutex.release']);
+    expect(_.every(tracer.spans, 'ended')).to.be.true;
+    expect(_.every(tracer.spans, span => span.attributes['mutex.lock_key'] === 'lock-key')).to.be.true;
+    expect(tracer.spans[0].attributes).to.include({ 'mutex.attempts': 2, 'mutex.contended': true, 'mutex.lock_ttl': 100 });
+    expect(tracer.spans[1].attributes).to.include({ 'mutex.extend_count': 1 });
+    expect(_.some(tracer.spans, 'status')).to.be.false;
+  });
+
+  it('should set the error status of the acquisition from LockError', async () => {
+    const tracer = createTracer();
+
+    RedLockStub.prototype.lock.callsFake(() => Bluebird.reject(new LockError('asd', 1)));
+
+    await mutexClient.run(_.noop, { lockKey: 'lock-key', tracer }).catch(_.noop);
+
+    expect(tracer.spans).to.have.lengthOf(1);
+    expect(tracer.spans[0].attributes).to.include({ 'error.type': 'LockError', 'mutex.contended': true });
+    expect(tracer.spans[0].status.code).to.equal(2);
+  });
+
+  it('should set the error status of the critical section and the extension when the lock is lost', async () => {
+    const tracer = createTracer();
+    const lock = createLock();
+
+    lock.extend.rejects(new LockError('Unable to extend', 1));
+    RedLockStub.prototype.lock.returns(Bluebird.resolve(lock));
+
+    await mutexClient.run(() => Bluebird.delay(200), { lockKey: 'lock-key', lockTtl: 100, tracer }).catch(_.noop);
+
+    const spans = _.keyBy(tracer.spans, 'name');
+
+    expect(spans['mutex.extend'].attributes['error.type']).to.equal('LockError');
+    expect(spans['mutex.critical_section'].attributes['error.type']).to.equal('ExtendLockError');
+    expect(spans['mutex.critical_section'].ended).to.be.true;
+  });
+
+  it('should set the error status of the release from UnlockError', async () => {
+    const tracer = createTracer();
+    const lock = createLock();
+
+    lock.unlock.rejects(new Error('Connection lost'));
+    RedLockStub.prototype.lock.returns(Bluebird.resolve(lock));
+
+    await mutexClient.run(_.noop, { lockKey: 'lock-key', tracer }).catch(_.noop);
+
+    expect(_.find(tracer.spans, { name: 'mutex.release' }).attributes['error.type']).to.equal('UnlockError');
+  });
+});
+
+describe('with the memory backend', () => {
+  it('should run the function exclusively', async () => {
+    const mutexClient = createMutexClient();
+    const running = mutexClient.run(() => Bluebird.delay(50), { lockKey: 'lock-key' });
+
+    await Bluebird.delay(10);
+
+    await expect(mutexClient.tryRun(_.noop, { lockKey: 'lock-key' })).to.eventually.deep.equal({ acquired: false });
+    expect(await mutexClient.isLocked('lock-key')).to.be.true;
+
+    await running;
+
+    expect(await mutexClient.isLocked('lock-key')).to.be.false;
+  });
+
+  it('should release the lock when the function throws synchronously', async () => {
+    const mutexClient = createMutexClient();
+
+    await expect(mutexClient.run(() => {
+      throw new Error('Invalid batch');
+    }, { lockKey: 'lock-key' })).to.be.rejectedWith('Invalid batch');
+
+    expect(await mutexClient.isLocked('lock-key')).to.be.false;
+    await expect(mutexClient.run(() => 'value', { lockKey: 'lock-key' })).to.eventually.equal('value');
+  });
+
+  it('should pass increasing fencing tokens', async () => {
+    const mutexClient = createMutexClient();
+    const fencingTokens = [];
+
+    await mutexClient.run(({ fencingToken }) => fencingTokens.push(fencingToken), { lockKey: 'lock-key' });
+    await mutexClient.runExclusive(({ fencingToken }) => fencingTokens.push(fencingToken), { lockKey: 'lock-key' });
+
+    expect(fencingTokens).to.deep.equal([1, 2]);
+  });
+
+  it('should wake the waiters up once the lock is released', async () => {
+    const mutexClient = createMutexClient({ redlockOptions: { retryCount: 1, retryDelay: 60000 } });
+    const order = [];
+
+    const first = mutexClient.runShared(() => Bluebird.delay(50).then(() => order.push('shared')), { lockKey: 'lock-key' });
+
+    await Bluebird.delay(10);
+    await mutexClient.runExclusive(() => order.push('exclusive'), { lockKey: 'lock-key' });
+    await first;
+
+    expect(order).to.deep.equal(['shared', 'exclusive']);
+  });
+
+  it('should admit the readers once the waiting writer gives up', async () => {
+    const mutexClient = createMutexClient({ redlockOptions: { retryCount: 1, retryDelay: 10 } });
+    let release;
+
+    const reading = mutexClient.runShared(() => new Bluebird((resolve) => {
+      release = resolve;
+    }), { lockKey: 'lock-key' });
+
+    await Bluebird.delay(10);
+    await expect(mutexClient.runExclusive(_.noop, { lockKey: 'lock-key' })).to.be.rejectedWith(LockError);
+    const admitted = await mutexClient.runShared(_.noop, { lockKey: 'lock-key' }).then(() => true, () => false);
+
+    release();
+    await reading;
+
+    expect(admitted).to.be.true;
+  });
+
+  it('should grant the fair locks in arrival order across the processes', async () => {
+    const backend = new MemoryBackend();
+    const mutexClient = createMutexClient({ backend });
+    const otherClient = createMutexClient({ backend });
+    const config = { lockKey: 'lock-key', fair: true, retry: { maxAttempts: 100, retryDelay: 10 } };
+    const order = [];
+
+    const running = [mutexClient.run(() => Bluebird.delay(50).then(() => order.push('first')), config)];
+
+    await Bluebird.delay(5);
+    running.push(mutexClient.run(() => order.push('second'), config));
+    await Bluebird.delay(5);
+    running.push(otherClient.run(() => order.push('third'), config));
+    await Bluebird.all(running);
+
+    expect(order).to.deep.equal(['first', 'second', 'third']);
+  });
+
+  it('should share the outcome of runOnce()', async () => {
+    const backend = new MemoryBackend();
+    const f = sinon.stub().returns(Bluebird.delay(20).return('value'));
+
+    const values = await Bluebird.all([
+      createMutexClient({ backend }).runOnce(f, { lockKey: 'lock-key' }),
+      createMutexClient({ backend }).runOnce(f, { lockKey: 'lock-key' })
+    ]);
+
+    expect(values).to.deep.equal(['value', 'value']);
+    expect(f).to.be.calledOnce;
+  });
+
+  it('should limit the holders of a semaphore', async () => {
+    const mutexClient = createMutexClient({ redlockOptions: { retryCount: -1, retryDelay: 5 } });
+    let running = 0;
+    let maxRunning = 0;
+
+    const f = () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+
+      return Bluebird.delay(10).then(() => running--);
+    };
+
+    await Bluebird.all(_.times(5, () => mutexClient.semaphore(f, { key: 'semaphore-key', limit: 2 })));
+
+    expect(maxRunning).to.equal(2);
+  });
+});
+
+describe('reentrant mode', () => {
+  context('when the runtime does not provide AsyncLocalStorage', () => {
+    const mutexModule = proxyquire('../src/index', { 'async_hooks': {} });
+
+    it('should only reject the reentrant calls', async () => {
+      const mutexClient = mutexModule.initialize({ backend: new MemoryBackend() });
+
+      await expect(mutexClient.run(() => 'value', { lockKey: 'lock-key' })).to.eventually.equal('value');
+      await expect(mutexClient.run(_.noop, { lockKey: 'lock-key', reentrant: true }))
+        .to.be.rejectedWith('The reentrant mode requires AsyncLocalStorage');
+    });
+
+    it('should throw when the reentrant mode is enabled for every call', () => {
+      expect(() => mutexModule.initialize({ backend: new MemoryBackend(), reentrant: true }))
+        .to.throw('The reentrant mode requires AsyncLocalStorage');
+    });
+  });
+
+  itWithAsyncLocalStorage('should let the nested calls reenter the lock held by the caller', async () => {
+    const mutexClient = createMutexClient();
+    const contexts = [];
+
+    await mutexClient.run(async (outer) => {
+      await Bluebird.delay(5);
+
+      await mutexClient.run(async (inner) => {
+        contexts.push({ fencingToken: inner.fencingTokens['lock-key'], holdCount: inner.holdCount });
+      }, { lockKey: 'lock-key', reentrant: true });
+
+      contexts.push({ fencingToken: outer.fencingTokens['lock-key'], holdCount: outer.holdCount });
+      expect(await mutexClient.isLocked('lock-key')).to.be.true;
+    }, { lockKey: ['lock-key', 'other-key'], reentrant: true });
+
+    expect(contexts).to.deep.equal([{ fencingToken: 1, holdCount: 2 }, { fencingToken: 1, holdCount: 1 }]);
+    expect(await mutexClient.isLocked('lock-key')).to.be.false;
+  });
+
+  itWithAsyncLocalStorage('should use the reentrant option of the client by default', async () => {
+    const mutexClient = createMutexClient({ reentrant: true });
+
+    const value = await mutexClient.run(
+      () => mutexClient.run(() => mutexClient.run(({ holdCount }) => holdCount, { lockKey: 'lock-key' }), { lockKey: 'lock-key' }),
+      { lockKey: 'lock-key' }
+    );
+
+    expect(value).to.equal(3);
+  });
+
+  itWithAsyncLocalStorage('should not reenter the lock when the nested call is not reentrant', async () => {
+    const mutexClient = createMutexClient();
+
+    const deferred = mutexClient.run(
+      () => mutexClient.run(_.noop, { lockKey: 'lock-key' }),
+      { lockKey: 'lock-key', reentrant: true }
+    );
+
+    await expect(deferred).to.be.rejectedWith(LockError);
+  });
+
+  itWithAsyncLocalStorage('should not reenter the lock when some of the nested keys are not held', async () => {
+    const mutexClient = createMutexClient({ reentrant: true });
+    const nested = sinon.spy();
+
+    await mutexClient.run(
+      () => mutexClient.run(nested, { lockKey: ['lock-key', 'other-key'] }),
+      { lockKey: 'lock-key' }
+    ).catch(_.noop);
+
+    expect(nested).not.to.be.called;
+  });
+
+  itWithAsyncLocalStorage('should not share the lock with the callers of other async contexts', async () => {
+    const mutexClient = createMutexClient({ reentrant: true });
+    let release;
+
+    const holding = mutexClient.run(() => new Promise((resolve) => {
+      release = resolve;
+    }), { lockKey: 'lock-key' });
+
+    await Bluebird.delay(5);
+
+    await expect(mutexClient.run(_.noop, { lockKey: 'lock-key' })).to.be.rejectedWith(LockError);
+
+    release();
+    await holding;
+  });
+
+  itWithAsyncLocalStorage('should propagate the rejection of the nested call', async () => {
+    const mutexClient = createMutexClient({ reentrant: true });
+
+    const deferred = mutexClient.run(
+      () => mutexClient.run(() => {
+        throw new Error('Nested error');
+      }, { lockKey: 'lock-key' }),
+      { lockKey: 'lock-key' }
+    );
+
+    await expect(deferred).to.be.rejectedWith('Nested error');
+    expect(await mutexClient.isLocked('lock-key')).to.be.false;
+  });
+});
+
+describe('key namespacing', () => {
+  it('should store the lock keys under the namespace', async () => {
+    const backend = new MemoryBackend();
+    const mutexClient = createMutexClient({ backend, namespace: ['billing', 'production'], hashTag: true });
+
+    await mutexClient.run(async () => {
+      expect(_.keys(backend.locks)).to.have.members(['{billing:production}:lock-key1', '{billing:production}:lock-key2']);
+      expect(await mutexClient.isLocked('lock-key1')).to.be.true;
+    }, { lockKey: ['lock-key1', 'lock-key2'] });
+  });
+
+  it('should require a namespace with the hash tag', () => {
+    expect(() => createMutexClient({ hashTag: true })).to.throw('The hash tag requires a namespace');
+  });
+
+  it('should isolate the clients of different namespaces', async () => {
+    const backend = new MemoryBackend();
+    const billingClient = createMutexClient({ backend, namespace: 'billing' });
+    const shippingClient = createMutexClient({ backend, namespace: 'shipping' });
+
+    await billingClient.run(
+      () => expect(shippingClient.tryRun(_.noop, { lockKey: 'lock-key' })).to.eventually.deep.equal({ acquired: true, value: undefined }),
+      { lockKey: 'lock-key' }
+    );
+  });
+
+  it('should keep the lock keys of the context and the events as given', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend(), keyPrefix: 'app:' });
+    const onAcquired = sinon.spy();
+
+    mutexClient.on('acquired', onAcquired);
+
+    const lockKey = await mutexClient.run(context => context.lockKey, { lockKey: mutexClient.key('account', 42) });
+
+    expect(lockKey).to.equal('account:42');
+    expect(onAcquired.firstCall.args[0].lockKey).to.equal('account:42');
+  });
+
+  it('should namespace the outcome of runOnce()', async () => {
+    const backend = new MemoryBackend();
+
+    await createMutexClient({ backend, namespace: 'billing' }).runOnce(() => 'value', { lockKey: 'lock-key' });
+
+    expect(_.keys(backend.results)).to.deep.equal(['billing:lock-key']);
+  });
+});
+
+describe('adaptive extension', () => {
+  it('should keep the lock extended while the function runs', async () => {
+    const mutexClient = require('../src/index').initialize({ backend: new MemoryBackend(), adaptiveExtension: true });
+    const onExtended = sinon.spy();
+
+    mutexClient.on('extended', onExtended);
+
+    const extendCount = await mutexClient.run(async (context) => {
+      await Bluebird.delay(250);
+
+      return context.extendCount;
+    }, { lockKey: 'lock-key', lockTtl: 100 });
+
+    expect(extendCount).to.be.at.least(4);
+    expect(onExtended.callCount).to.equal(extendCount);
+  });
+
+  it('should be overridden by run()', async () => {
+    const mutexClient = require('../src/index').initialize({ backend: new MemoryBackend(), adaptiveExtension: true });
+
+    const extendCount = await mutexClient.run(async (context) => {
+      await Bluebird.delay(250);
+
+      return context.extendCount;
+    }, { lockKey: 'lock-key', lockTtl: 200, adaptiveExtension: false });
+
+    expect(extendCount).to.equal(1);
+  });
+});
+
+describe('lock metadata', () => {
+  it('should report the holders of the lock', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend() });
+
+    await mutexClient.run(async () => {
+      const info = await mutexClient.inspect('lock-key');
+
+      expect(info).to.include({ lockKey: 'lock-key', locked: true, sharedHolders: 0 });
+      expect(info.remainingTtl).to.be.within(1, 1000);
+      expect(info.holders).to.have.lengthOf(1);
+      expect(info.holders[0]).to.include({ hostname: os.hostname(), pid: process.pid, label: 'nightly-invoices', extendCount: 0 });
+      expect(info.holders[0].acquiredAt).to.be.within(Date.now() - 1000, Date.now());
+    }, { lockKey: 'lock-key', label: 'nightly-invoices' });
+
+    expect(await mutexClient.inspect('lock-key')).to.deep.equal({
+      lockKey: 'lock-key',
+      locked: false,
+      remainingTtl: 0,
+      sharedHolders: 0,
+      holders: []
+    });
+  });
+
+  it('should store the label given to semaphore() and leaderElection()', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend() });
+
+    await mutexClient.semaphore(async () => {
+      const { holders } = await mutexClient.inspect('semaphore-key');
+
+      expect(_.map(holders, 'label')).to.deep.equal(['exports']);
+    }, { key: 'semaphore-key', limit: 2, label: 'exports' });
+
+    const election = mutexClient.leaderElection({ key: 'leader-key', signals: [], label: 'scheduler' });
+
+    await new Bluebird(resolve => election.once('elected', resolve));
+
+    expect(_.map((await mutexClient.inspect('leader-key')).holders, 'label')).to.deep.equal(['scheduler']);
+
+    await election.resign();
+  });
+
+  it('should refresh the metadata on every extension', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend(), extendLockBufferOffset: 50 });
+
+    await mutexClient.run(async () => {
+      await new Promise(resolve => mutexClient.once('extended', resolve));
+      // The metadata is saved by the listener of the handle, on the next tick
+      await new Promise(resolve => setImmediate(resolve));
+
+      const { holders } = await mutexClient.inspect('lock-key');
+
+      expect(holders[0].extendCount).to.equal(1);
+    }, { lockKey: 'lock-key', lockTtl: 100 });
+  });
+
+  it('should report every shared holder', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend() });
+
+    await mutexClient.runShared(() => mutexClient.runShared(async () => {
+      const { holders, sharedHolders } = await mutexClient.inspect('lock-key');
+
+      expect(sharedHolders).to.equal(2);
+      expect(_.map(holders, 'label')).to.have.members(['outer', 'inner']);
+    }, { lockKey: 'lock-key', label: 'inner' }), { lockKey: 'lock-key', label: 'outer' });
+  });
+
+  it('should list the held locks matching the pattern', async () => {
+    const backend = new MemoryBackend();
+    const mutexClient = createMutexClient({ backend, namespace: 'billing' });
+    const otherClient = createMutexClient({ backend, namespace: 'shipping' });
+
+    const handle = await mutexClient.acquire({ lockKey: ['invoice:1', 'invoice:2'], label: 'batch' });
+    const otherHandle = await otherClient.acquire({ lockKey: 'invoice:3' });
+    await mutexClient.acquire({ lockKey: 'payment:1' });
+
+    const locks = await mutexClient.listLocks('invoice:*');
+
+    expect(_.map(locks, 'lockKey')).to.deep.equal(['invoice:1', 'invoice:2']);
+    expect(locks[0].holders[0].label).to.equal('batch');
+
+    await handle.release();
+    await otherHandle.release();
+
+    expect(_.map(await mutexClient.listLocks(), 'lockKey')).to.deep.equal(['payment:1']);
+  });
+
+  it('should list the held locks of a namespace holding the glob characters', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend(), namespace: ['team:a', 'prod*'] });
+
+    await mutexClient.acquire({ lockKey: 'invoice:1' });
+
+    expect(_.map(await mutexClient.listLocks('invoice:*'), 'lockKey')).to.deep.equal(['invoice:1']);
+  });
+
+  it('should not fail the run when the metadata can\'t be stored', async () => {
+    const backend = new MemoryBackend();
+    const mutexClient = createMutexClient({ backend });
+
+    sinon.stub(backend, 'saveMetadata').rejects(new Error('Connection lost'));
+
+    await expect(mutexClient.run(() => 'value', { lockKey: 'lock-key' })).to.eventually.equal('value');
+  });
+});
+
+describe('forceRelease()', () => {
+  itWithSignal('should cancel the evicted holder with LockStolenError and record the release', async () => {
+    const backend = new MemoryBackend();
+    const mutexClient = createMutexClient({ backend, namespace: 'billing' });
+    const adminClient = createMutexClient({ backend, namespace: 'billing' });
+    const onForceReleased = sinon.spy();
+    let runSignal;
+
+    adminClient.on('forceReleased', onForceReleased);
+
+    const deferred = mutexClient.run(async ({ signal }) => {
+      runSignal = signal;
+      await Bluebird.delay(200);
+    }, { lockKey: 'invoice:batch', lockTtl: 100, label: 'nightly-invoices' });
+
+    await Bluebird.delay(20);
+
+    const entry = await adminClient.forceRelease('invoice:batch', { reason: 'Hung worker', by: 'alice' });
+
+    expect(entry).to.include({ lockKey: 'invoice:batch', reason: 'Hung worker', by: 'alice', hostname: os.hostname(), pid: process.pid });
+    expect(entry.holders).to.have.lengthOf(1);
+    expect(entry.holders[0].label).to.equal('nightly-invoices');
+    expect(onForceReleased).to.be.calledOnceWith({ lockKey: 'invoice:batch', lockKeys: ['invoice:batch'], entry });
+    expect(await adminClient.isLocked('invoice:batch')).to.be.false;
+
+    const error = await deferred.catch(rejection => rejection);
+
+    expect(error).to.be.instanceOf(LockStolenError);
+    expect(error).to.be.instanceOf(ExtendLockError);
+    expect(error.reason).to.equal('Hung worker');
+    expect(error.auditEntry).to.deep.equal(entry);
+    expect(runSignal.aborted).to.be.true;
+    expect(await adminClient.getAuditTrail('invoice:batch')).to.deep.equal([entry]);
+  });
+
+  it('should wake the waiters up', async () => {
+    const backend = new MemoryBackend();
+    const holderClient = createMutexClient({ backend });
+    const mutexClient = createMutexClient({ backend });
+
+    const handle = await holderClient.acquire({ lockKey: 'lock-key', lockTtl: 60000 });
+    const waiting = mutexClient.run(() => 'value', { lockKey: 'lock-key', retry: { maxAttempts: 2, retryDelay: 60000 } });
+
+    await Bluebird.delay(10);
+    await mutexClient.forceRelease('lock-key', { reason: 'Hung worker' });
+
+    expect(await waiting).to.equal('value');
+
+    await handle.release();
+  });
+
+  it('should reject when no reason is given', async () => {
+    const mutexClient = createMutexClient({ backend: new MemoryBackend() });
+
+    await expect(mutexClient.forceRelease('lock-key')).to.be.rejectedWith('The reason of the release must be given');
+    await expect(mutexClient.forceRelease(['lock-key'], { reason: 'Hung worker' })).to.be.rejectedWith('Lock key must be a string');
+  });
+});
@@ -0,0 +1,130 @@
+const chai = require('chai');
+
+const keys = require('../src/keys');
+
+const expect = chai.expect;
+
+describe('keys', () => {
+  describe('build()', () => {
+    it('should join the parts with the separator', () => {
+      expect(keys.build('account', 42)).to.equal('account:42');
+    });
+
+    it('should escape the separator, the braces and the escape character', () => {
+      expect(keys.build('a:b', 'c')).to.equal('a\\:b:c');
+      expect(keys.build('a', 'b:c')).to.equal('a:b\\:c');
+      expect(keys.build('{tag}', 'a\\b')).to.equal('\\{tag\\}:a\\\\b');
+    });
+
+    it('should throw an error when a part is not a string or a number', () => {
+      expect(() => keys.build()).to.throw('Key parts must be strings or numbers');
+      expect(() => keys.build('account', null)).to.throw('Key parts must be strings or numbers');
+      expect(() => keys.build('account', { id: 42 })).to.throw('Key parts must be strings or numbers');
+    });
+  });
+
+  describe('namespaceOf()', () => {
+    it('should prepend the namespace and the prefix', () => {
+      expect(keys.namespaceOf({ namespace: 'billing' })('lock-key')).to.equal('billing:lock-key');
+      expect(keys.namespaceOf({ namespace: ['billing', 'prod:eu'] })('lock-key')).to.equal('billing:prod\\:eu:lock-key');
+      expect(keys.namespaceOf({ namespace: 'billing', keyPrefix: 'app/' })('lock-key')).to.equal('app/billing:lock-key');
+      expect(keys.namespaceOf({ keyPrefix: 'app:' })('lock-key')).to.equal('app:lock-key');
+    });
+
+    it('should wrap the namespace in a hash tag', () => {
+      expect(keys.namespaceOf({ namespace: ['billing', 'prod'], hashTag: true })('lock-key')).to.equal('{billing:prod}:lock-key');
+    });
+
+    it('should throw when the hash tag is given without a namespace', () => {
+      expect(() => keys.namespaceOf({ keyPrefix: 'app:', hashTag: true })).to.throw('The hash tag requires a namespace');
+    });
+  });
+
+  describe('lockKeyOf()', () => {
+    it('should turn the stored keys back into the lock keys', () => {
+      const options = { namespace: ['billing', 'prod'], keyPrefix: 'app/', hashTag: true };
+      const lockKeyOf = keys.lockKeyOf(options);
+
+      expect(lockKeyOf(keys.namespaceOf(options)('lock-key'))).to.equal('lock-key');
+      expect(lockKeyOf('app/{billing:prod}:invoice:42')).to.equal('invoice:42');
+    });
+
+    it('should return null for the keys of other namespaces', () => {
+      const lockKeyOf = keys.lockKeyOf({ namespace: 'billing' });
+
+      expect(lockKeyOf('shipping:lock-key')).to.be.null;
+      expect(lockKeyOf('billing')).to.be.null;
+    });
+  });
+
+  describe('patternOf()', () => {
+    it('should escape the glob characters of the namespace', () => {
+      const options = { namespace: ['team:a', 'prod*'], keyPrefix: 'app?/' };
+      const matches = keys.matcherOf(keys.patternOf(options)('invoice:*'));
+
+      expect(matches(keys.namespaceOf(options)('invoice:1'))).to.be.true;
+      expect(matches('appX/team\\:a:prod*:invoice:1')).to.be.false;
+      expect(matches(keys.namespaceOf(options)('payment:1'))).to.be.false;
+    });
+  });
+
+  describe('escapeGlob()', () => {
+    it('should escape the glob characters and the escape character', () => {
+      expect(keys.escapeGlob('a\\b*c?[d]')).to.equal('a\\\\b\\*c\\?\\[d\\]');
+    });
+  });
+
+  describe('hashTagOf()', () => {
+    it('should resolve the content of the first braces', () => {
+      expect(keys.hashTagOf('{billing}:lock-key')).to.equal('billing');
+      expect(keys.hashTagOf('app:{lock-key}:{other}')).to.equal('lock-key');
+      expect(keys.hashTagOf('a{b{c}d')).to.equal('b{c');
+    });
+
+    it('should resolve null when there is no hash tag', () => {
+      expect(keys.hashTagOf('lock-key')).to.be.null;
+      expect(keys.hashTagOf('{}lock-key')).to.be.null;
+      expect(keys.hashTagOf('lock}{key')).to.be.null;
+    });
+  });
+
+  describe('companionKeyOf()', () => {
+    it('should wrap the lock key in a hash tag', () => {
+      expect(keys.companionKeyOf('account:42', 'readers')).to.equal('{account:42}:readers');
+      expect(keys.companionKeyOf('lock{key', 'readers')).to.equal('{lock{key}:readers');
+    });
+
+    it('should keep the hash tag of the lock key', () => {
+      expect(keys.companionKeyOf('{billing}:lock-key', 'readers')).to.equal('{billing}:lock-key:readers');
+      expect(keys.companionKeyOf('app:{lock-key}', 'readers')).to.equal('app:{lock-key}:readers');
+    });
+
+    it('should keep the lock key that can not be wrapped in a hash tag', () => {
+      expect(keys.companionKeyOf('{}lock-key', 'readers')).to.equal('{}lock-key:readers');
+      expect(keys.companionKeyOf('lock}key', 'readers')).to.equal('lock}key:readers');
+    });
+  });
+
+  describe('matcherOf()', () => {
+    it('should match any string with `*` and any character with `?`', () => {
+      const matches = keys.matcherOf('invoice:*:?');
+
+      expect(matches('invoice:batch:1')).to.be.true;
+      expect(matches('invoice::1')).to.be.true;
+      expect(matches('invoice:batch:12')).to.be.false;
+      expect(matches('payment:batch:1')).to.be.false;
+    });
+
+    it('should match the line terminators', () => {
+      expect(keys.matcherOf('invoice:*')('invoice:a\nb')).to.be.true;
+      expect(keys.matcherOf('invoice:?')('invoice:\n')).to.be.true;
+    });
+
+    it('should match the escaped and the regular expression characters literally', () => {
+      expect(keys.matcherOf('invoice\\*')('invoice*')).to.be.true;
+      expect(keys.matcherOf('invoice\\*')('invoices')).to.be.false;
+      expect(keys.matcherOf('invoice.(1)')('invoice.(1)')).to.be.true;
+      expect(keys.matcherOf('invoice.(1)')('invoiceX(1)')).to.be.false;
+    });
+  });
+});
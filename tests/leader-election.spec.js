@@ -0,0 +1,173 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { ExtendLockError, LockError } = require('../src/errors');
+const LeaderElection = require('../src/leader-election');
+const LockHandle = require('../src/lock-handle');
+
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('LeaderElection', () => {
+  const createHandle = () => {
+    const lock = {
+      expiration: Date.now() + 1000,
+      fencingToken: 7,
+      extend: sinon.stub().resolves(),
+      unlock: sinon.stub().resolves()
+    };
+
+    return new LockHandle({
+      locks: [lock],
+      lockKeys: ['leader-key'],
+      lockKey: 'leader-key',
+      lockTtl: 1000,
+      extendLockBufferOffset: 50,
+      maxExtendLockCount: Infinity,
+      debug: _.noop
+    });
+  };
+
+  const createElection = (acquire, options = {}) => new LeaderElection(_.assign({
+    acquire,
+    key: 'leader-key',
+    ttl: 1000,
+    campaignInterval: 10,
+    signals: [],
+    debug: _.noop
+  }, options));
+
+  let election;
+
+  afterEach('resign', () => election.resign());
+
+  it('should emit `elected` once the lock is acquired and keep renewing it', async () => {
+    const handle = createHandle();
+    const onElected = sinon.spy();
+
+    sinon.spy(handle, 'autoExtend');
+
+    election = createElection(sinon.stub().resolves(handle));
+    election.on('elected', onElected);
+    await Bluebird.delay(5);
+
+    expect(onElected).to.be.calledOnceWith(sinon.match({ fencingToken: 7, signal: handle.signal }));
+    expect(handle.autoExtend).to.be.calledOnce;
+    expect(election.isLeader()).to.be.true;
+  });
+
+  it('should campaign again while the lock is held by someone else', async () => {
+    const acquire = sinon.stub().rejects(new LockError('asd', 1));
+
+    acquire.onThirdCall().resolves(createHandle());
+
+    election = createElection(acquire);
+    await Bluebird.delay(50);
+
+    expect(acquire).to.be.calledThrice;
+    expect(acquire).to.be.calledWith('leader-key', 1000);
+    expect(election.isLeader()).to.be.true;
+  });
+
+  it('should emit `demoted` and campaign again once the leadership is lost', async () => {
+    const handle = createHandle();
+    const acquire = sinon.stub().rejects(new LockError('asd', 1));
+    const onDemoted = sinon.spy();
+    const error = new ExtendLockError('Unable to extend');
+
+    acquire.onFirstCall().resolves(handle);
+
+    election = createElection(acquire);
+    election.on('demoted', onDemoted);
+    await Bluebird.delay(5);
+
+    handle.lose(error);
+    await Bluebird.delay(20);
+
+    expect(onDemoted).to.be.calledOnceWith(error);
+    expect(election.isLeader()).to.be.false;
+    expect(acquire.callCount).to.be.at.least(2);
+  });
+
+  it('should emit `error` and campaign again when campaigning fails unexpectedly', async () => {
+    const acquire = sinon.stub().rejects(new Error('Connection lost'));
+    const onError = sinon.spy();
+
+    acquire.onSecondCall().resolves(createHandle());
+
+    election = createElection(acquire);
+    election.on('error', onError);
+    await new Promise(resolve => election.once('elected', resolve));
+
+    expect(onError).to.be.calledOnce;
+    expect(onError.firstCall.args[0].message).to.equal('Connection lost');
+    expect(election.isLeader()).to.be.true;
+  });
+
+  it('should campaign again without emitting `error` when nobody listens to it', async () => {
+    const acquire = sinon.stub().rejects(new Error('Connection lost'));
+    const onUnhandledRejection = sinon.spy();
+
+    acquire.onSecondCall().resolves(createHandle());
+    process.on('unhandledRejection', onUnhandledRejection);
+
+    election = createElection(acquire);
+    await new Promise(resolve => election.once('elected', resolve));
+    process.removeListener('unhandledRejection', onUnhandledRejection);
+
+    expect(onUnhandledRejection).not.to.be.called;
+    expect(election.isLeader()).to.be.true;
+  });
+
+  describe('#resign()', () => {
+    it('should release the leadership and stop campaigning', async () => {
+      const handle = createHandle();
+      const acquire = sinon.stub().resolves(handle);
+      const onDemoted = sinon.spy();
+
+      election = createElection(acquire);
+      election.on('demoted', onDemoted);
+      await Bluebird.delay(5);
+      await election.resign();
+      await Bluebird.delay(20);
+
+      expect(handle.locks[0].unlock).to.be.calledOnce;
+      expect(onDemoted).to.be.calledOnce;
+      expect(acquire).to.be.calledOnce;
+      expect(election.isLeader()).to.be.false;
+    });
+
+    it('should call onResign once', async () => {
+      const onResign = sinon.spy();
+
+      election = createElection(sinon.stub().resolves(createHandle()), { onResign });
+      await Bluebird.delay(5);
+      await election.resign();
+      await election.resign();
+
+      expect(onResign).to.be.calledOnce;
+    });
+
+    it('should be called on the given signals', async () => {
+      const handle = createHandle();
+      const otherListener = sinon.spy();
+
+      // Keeps the default behaviour (exiting) from being triggered
+      process.on('SIGTERM', otherListener);
+
+      election = createElection(sinon.stub().resolves(handle), { signals: ['SIGTERM'] });
+      await Bluebird.delay(5);
+
+      process.emit('SIGTERM', 'SIGTERM');
+      await Bluebird.delay(5);
+      process.removeListener('SIGTERM', otherListener);
+
+      expect(handle.locks[0].unlock).to.be.calledOnce;
+      expect(election.isLeader()).to.be.false;
+      expect(process.listenerCount('SIGTERM')).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const chai = require('chai');
+
+const { LockError } = require('../src/errors');
+const lease = require('../src/lease');
+const scripts = require('../src/scripts');
+const { createClient } = require('./helpers/redis');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('lease', () => {
+  describe('acquire()', () => {
+    context('when a quorum of clients acquires the lease', () => {
+      const clients = [createClient(1), createClient(1), createClient(0)];
+      let acquiredLease;
+
+      before('acquire lease', async () => {
+        acquiredLease = await lease.acquire(clients, lease.readLock('lock-key'), {
+          value: 'value',
+          ttl: 1000
+        });
+      });
+
+      it('should evaluate the lock script on every client', () => {
+        clients.forEach((client) => {
+          expect(client.eval).to.be.calledOnce;
+          expect(client.eval).to.be.calledWith(
+            scripts.READ_LOCK,
+            3,
+            '{lock-key}:readers',
+            'lock-key',
+            '{lock-key}:writer-intent',
+            'value',
+            1000
+          );
+        });
+      });
+
+      it('should resolve the lease', () => {
+        expect(acquiredLease.resource).to.equal('lock-key');
+        expect(acquiredLease.value).to.equal('value');
+        expect(acquiredLease.expiration).to.be.within(Date.now() + 900, Date.now() + 1000);
+      });
+    });
+
+    context('when a quorum of clients can\'t acquire the lease', () => {
+      const clients = [createClient(1), createClient(0), createClient(0)];
+      let deferred;
+
+      before('acquire lease', () => {
+        deferred = lease.acquire(clients, lease.writeLock('lock-key'), {
+          value: 'value',
+          ttl: 1000
+        });
+
+        return deferred.catch(() => {});
+      });
+
+      it('should reject with LockError', () => {
+        return expect(deferred).to.be.rejectedWith(LockError);
+      });
+
+      it('should release the lease from every client', () => {
+        clients.forEach((client) => {
+          expect(client.eval).to.be.calledTwice;
+          expect(client.eval.secondCall).to.be.calledWith(scripts.UNLOCK, 3, 'lock-key');
+        });
+      });
+    });
+  });
+
+  describe('acquireFair()', () => {
+    const options = { value: 'value', ttl: 1000, queueTtl: 2000 };
+
+    it('should resolve a lease of every key when a quorum of clients grants the locks', async () => {
+      const clients = [createClient([1, 0]), createClient([1, 0]), createClient([0, 1])];
+      const leases = await lease.acquireFair(clients, ['lock-key1', 'lock-key2'], options);
+
+      expect(leases).to.have.lengthOf(2);
+      expect(leases[1].resource).to.equal('lock-key2');
+      expect(clients[0].eval).to.be.calledWith(
+        scripts.FAIR_LOCK,
+        8,
+        'lock-key1',
+        '{lock-key1}:queue',
+        '{lock-key1}:queue:expiration',
+        '{lock-key1}:queue:counter',
+        'lock-key2'
+      );
+    });
+
+    it('should reject with LockError carrying the queue position otherwise', async () => {
+      const clients = [createClient([1, 0]), createClient([0, 2]), createClient([0, 1])];
+      const error = await lease.acquireFair(clients, ['lock-key'], options).catch(error => error);
+
+      expect(error).to.be.instanceOf(LockError);
+      expect(error.queuePosition).to.equal(2);
+      expect(clients[0].eval).to.be.calledWith(scripts.UNLOCK, 3, 'lock-key');
+    });
+  });
+
+  describe('inspect()', () => {
+    it('should report the lock held by a quorum of clients', async () => {
+      const clients = [createClient([800, 0]), createClient([900, 0]), createClient([0, 0])];
+      const info = await lease.inspect(clients, 'lock-key');
+
+      expect(info).to.deep.equal({ locked: true, remainingTtl: 800, sharedHolders: 0 });
+      expect(clients[0].eval).to.be.calledWith(scripts.LOCK_INFO, 2, 'lock-key', '{lock-key}:readers');
+    });
+
+    it('should report the shared holders', async () => {
+      const info = await lease.inspect([createClient([500, 2])], 'lock-key');
+
+      expect(info).to.deep.equal({ locked: true, remainingTtl: 500, sharedHolders: 2 });
+    });
+
+    it('should report the lock free when less than a quorum of clients holds it', async () => {
+      const clients = [createClient([800, 0]), createClient([0, 0]), createClient([0, 0])];
+
+      expect(await lease.inspect(clients, 'lock-key')).to.deep.equal({ locked: false, remainingTtl: 0, sharedHolders: 0 });
+    });
+  });
+
+  describe('Lease', () => {
+    const acquireLease = clients => lease.acquire(clients, lease.readLock('lock-key'), {
+      value: 'value',
+      ttl: 200
+    });
+
+    describe('#extend()', () => {
+      it('should extend the expiration when a quorum of clients extends the lease', async () => {
+        const client = createClient(1);
+        const acquiredLease = await acquireLease([client]);
+
+        await acquiredLease.extend(1000);
+
+        expect(client.eval.secondCall).to.be.calledWith(scripts.HOLDER_EXTEND, 3, '{lock-key}:readers');
+        expect(acquiredLease.expiration).to.be.above(Date.now() + 800);
+      });
+
+      it('should reject with LockError when a quorum of clients can\'t extend the lease', async () => {
+        const client = createClient(1);
+        const acquiredLease = await acquireLease([client]);
+
+        client.eval.yields(null, 0);
+
+        await expect(acquiredLease.extend(1000)).to.be.rejectedWith(LockError);
+      });
+    });
+
+    describe('#unlock()', () => {
+      it('should reject with LockError when a quorum of clients fails', async () => {
+        const client = createClient(1);
+        const acquiredLease = await acquireLease([client]);
+
+        client.eval.yields(new Error('Connection lost'));
+
+        await expect(acquiredLease.unlock()).to.be.rejectedWith(LockError);
+      });
+
+      it('should resolve when the lease is no longer held', async () => {
+        const client = createClient(1);
+        const acquiredLease = await acquireLease([client]);
+
+        client.eval.yields(null, 0);
+
+        await expect(acquiredLease.unlock()).to.be.fulfilled;
+        expect(client.eval.secondCall).to.be.calledWith(scripts.HOLDER_UNLOCK);
+      });
+    });
+  });
+});
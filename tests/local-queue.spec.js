@@ -0,0 +1,105 @@
+const chai = require('chai');
+
+const { LockError } = require('../src/errors');
+const LocalQueue = require('../src/local-queue');
+
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('LocalQueue', () => {
+  describe('Waiter', () => {
+    describe('#claim()', () => {
+      it('should hold the lock keys when nobody else holds or waits for them', async () => {
+        const queue = new LocalQueue();
+
+        await queue.enqueue(['lock-key1']).claim();
+        await expect(queue.enqueue(['lock-key2']).claim()).to.be.fulfilled;
+      });
+
+      it('should reject with LockError carrying the contended keys when a key is held', async () => {
+        const queue = new LocalQueue();
+
+        await queue.enqueue(['lock-key1']).claim();
+
+        const error = await queue.enqueue(['lock-key1', 'lock-key2']).claim().catch(error => error);
+
+        expect(error).to.be.instanceOf(LockError);
+        expect(error.contendedKeys).to.deep.equal(['lock-key1']);
+      });
+
+      it('should let the earlier waiters claim first', async () => {
+        const queue = new LocalQueue();
+        const holder = queue.enqueue(['lock-key']);
+        const first = queue.enqueue(['lock-key']);
+        const second = queue.enqueue(['lock-key']);
+
+        await holder.claim();
+        holder.leave();
+
+        await expect(second.claim()).to.be.rejectedWith(LockError);
+        await expect(first.claim()).to.be.fulfilled;
+      });
+
+      it('should keep the place in the queue after unclaiming', async () => {
+        const queue = new LocalQueue();
+        const first = queue.enqueue(['lock-key']);
+        const second = queue.enqueue(['lock-key']);
+
+        await first.claim();
+        first.unclaim();
+
+        await expect(second.claim()).to.be.rejectedWith(LockError);
+        await expect(first.claim()).to.be.fulfilled;
+      });
+
+      it('should ignore a holder whose lock is no longer held', async () => {
+        const queue = new LocalQueue();
+        const holder = queue.enqueue(['lock-key']);
+
+        await holder.claim();
+        holder.hold({ isHeld: () => false });
+
+        await expect(queue.enqueue(['lock-key']).claim()).to.be.fulfilled;
+      });
+    });
+
+    describe('#wait()', () => {
+      it('should resolve as soon as the waiter gets to the front of the queue', async () => {
+        const queue = new LocalQueue();
+        const holder = queue.enqueue(['lock-key']);
+        const waiter = queue.enqueue(['lock-key']);
+        const startedAt = Date.now();
+
+        await holder.claim();
+        setTimeout(() => holder.leave(), 20);
+        await waiter.wait(1000);
+
+        expect(Date.now() - startedAt).to.be.below(500);
+        await expect(waiter.claim()).to.be.fulfilled;
+      });
+
+      it('should resolve after the delay otherwise', async () => {
+        const queue = new LocalQueue();
+        const startedAt = Date.now();
+
+        await queue.enqueue(['lock-key']).claim();
+        await queue.enqueue(['lock-key']).wait(50);
+
+        expect(Date.now() - startedAt).to.be.at.least(45);
+      });
+    });
+
+    describe('#leave()', () => {
+      it('should drop the lock keys nobody holds or waits for', async () => {
+        const queue = new LocalQueue();
+        const waiter = queue.enqueue(['lock-key']);
+
+        await waiter.claim();
+        waiter.leave();
+
+        expect(queue.entries).to.be.empty;
+      });
+    });
+  });
+});
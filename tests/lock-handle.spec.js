@@ -0,0 +1,396 @@
+const _ = require('lodash');
+const Bluebird = require('bluebird');
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { ExtendLockError, LockError, UnlockError } = require('../src/errors');
+const LockHandle = require('../src/lock-handle');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+// The handle only carries a `signal` on the runtimes providing `AbortController`
+const itWithSignal = (typeof AbortController === 'undefined') ? it.skip : it;
+
+describe('LockHandle', () => {
+  const createLock = (ttl = 1000) => ({
+    expiration: Date.now() + ttl,
+    extend: sinon.stub().resolves(),
+    unlock: sinon.stub().resolves()
+  });
+
+  const createHandle = (locks, options = {}) => new LockHandle(_.assign({
+    locks,
+    lockKey: 'lock-key',
+    lockTtl: 1000,
+    extendLockBufferOffset: 50,
+    maxExtendLockCount: 20,
+    debug: _.noop
+  }, options));
+
+  describe('#extend()', () => {
+    it('should extend every lock by the lock TTL by default', async () => {
+      const locks = [createLock(), createLock()];
+
+      await createHandle(locks).extend();
+
+      locks.forEach(lock => expect(lock.extend).to.be.calledOnceWith(1000));
+    });
+
+    it('should extend every lock by the given TTL', async () => {
+      const lock = createLock();
+
+      await createHandle([lock]).extend(5000);
+
+      expect(lock.extend).to.be.calledOnceWith(5000);
+    });
+
+    it('should emit `extended` or `extendFailed` with the error', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock]);
+      const onExtended = sinon.spy();
+      const onExtendFailed = sinon.spy();
+      const error = new LockError('Unable to extend');
+
+      handle.on('extended', onExtended);
+      handle.on('extendFailed', onExtendFailed);
+
+      await handle.extend();
+      lock.extend.rejects(error);
+      await handle.extend().catch(_.noop);
+
+      expect(onExtended).to.be.calledOnce;
+      expect(onExtendFailed).to.be.calledOnceWith(error);
+    });
+
+    it('should reject with LockError once released', async () => {
+      const handle = createHandle([createLock()]);
+
+      await handle.release();
+
+      await expect(handle.extend()).to.be.rejectedWith(LockError);
+    });
+  });
+
+  describe('#release()', () => {
+    it('should unlock every lock once', async () => {
+      const locks = [createLock(), createLock()];
+      const handle = createHandle(locks);
+
+      await handle.release();
+      await handle.release();
+
+      locks.forEach(lock => expect(lock.unlock).to.be.calledOnce);
+      expect(handle.isHeld()).to.be.false;
+      expect(handle.remainingTtl()).to.equal(0);
+    });
+
+    it('should notify the release of the lock keys', async () => {
+      const onRelease = sinon.stub().rejects(new Error('Connection lost'));
+
+      await createHandle([createLock()], { lockKeys: ['lock-key'], onRelease }).release();
+
+      expect(onRelease).to.be.calledOnceWith(['lock-key']);
+    });
+
+    it('should reject with UnlockError when a lock can\'t be unlocked', () => {
+      const lock = createLock();
+      lock.unlock.rejects(new Error('Unlocking error'));
+
+      return expect(createHandle([lock]).release()).to.be.rejectedWith(UnlockError);
+    });
+
+    it('should emit `released` with the UnlockError when a lock can\'t be unlocked', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock]);
+      const onReleased = sinon.spy();
+
+      lock.unlock.rejects(new Error('Unlocking error'));
+      handle.on('released', onReleased);
+      await handle.release().catch(_.noop);
+
+      expect(onReleased).to.be.calledOnce;
+      expect(onReleased.firstCall.args[0]).to.be.instanceOf(UnlockError);
+    });
+  });
+
+  describe('#isHeld()', () => {
+    it('should be true while the locks are not expired', () => {
+      expect(createHandle([createLock()]).isHeld()).to.be.true;
+    });
+
+    it('should be false once a lock is expired', () => {
+      expect(createHandle([createLock(), createLock(-1)]).isHeld()).to.be.false;
+    });
+  });
+
+  describe('#remainingTtl()', () => {
+    it('should be the remaining TTL of the earliest expiring lock', () => {
+      const remainingTtl = createHandle([createLock(1000), createLock(500)]).remainingTtl();
+
+      expect(remainingTtl).to.be.within(400, 500);
+    });
+  });
+
+  describe('#autoExtend()', () => {
+    it('should extend the locks periodically until disabled', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock], { lockTtl: 150 });
+
+      handle.autoExtend();
+      await Bluebird.delay(250);
+      handle.autoExtend(false);
+      await Bluebird.delay(150);
+
+      expect(lock.extend).to.be.calledTwice;
+      expect(handle.extendLockCounter).to.equal(2);
+    });
+
+    it('should emit `lost` when the lock is extended more than maxExtendLockCount', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock], { lockTtl: 100, maxExtendLockCount: 1 });
+      const onLost = sinon.spy();
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await Bluebird.delay(175);
+
+      expect(lock.extend).to.be.calledOnce;
+      expect(onLost).to.be.calledOnce;
+      expect(onLost.firstCall.args[0]).to.be.instanceOf(ExtendLockError);
+      expect(handle.isHeld()).to.be.false;
+
+      await handle.release();
+    });
+
+    itWithSignal('should emit `lost` when the lock can\'t be extended', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock], { lockTtl: 100 });
+      const onLost = sinon.spy();
+
+      lock.extend.rejects(new LockError('Unable to extend'));
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await Bluebird.delay(125);
+
+      expect(onLost).to.be.calledOnce;
+      expect(onLost.firstCall.args[0]).to.be.instanceOf(ExtendLockError);
+      expect(onLost.firstCall.args[0].message).to.equal('Unable to extend');
+      expect(handle.signal.aborted).to.be.true;
+      expect(handle.signal.reason).to.equal(onLost.firstCall.args[0]);
+
+      await handle.release();
+    });
+
+    it('should emit `lost` without a signal when AbortController is not available', async () => {
+      const { AbortController } = global;
+      const lock = createLock();
+      let handle;
+
+      try {
+        delete global.AbortController;
+        handle = createHandle([lock], { lockTtl: 100 });
+      } finally {
+        global.AbortController = AbortController;
+      }
+
+      const onLost = sinon.spy();
+
+      lock.extend.rejects(new LockError('Unable to extend'));
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await Bluebird.delay(125);
+
+      expect(handle.signal).to.be.undefined;
+      expect(onLost).to.be.calledOnce;
+
+      await handle.release();
+    });
+  });
+
+  describe('#autoExtend() with explainLoss', () => {
+    itWithSignal('should emit `lost` with the error explaining the loss', async () => {
+      const lock = createLock();
+      const cause = new ExtendLockError('Stolen');
+      const explainLoss = sinon.stub().resolves(cause);
+      const handle = createHandle([lock], { lockTtl: 100, explainLoss });
+      const onLost = sinon.spy();
+      const error = new LockError('Unable to extend');
+
+      lock.extend.rejects(error);
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await Bluebird.delay(125);
+
+      expect(explainLoss).to.be.calledOnceWith(error);
+      expect(onLost).to.be.calledOnceWith(cause);
+      expect(handle.signal.reason).to.equal(cause);
+
+      await handle.release();
+    });
+
+    it('should emit `lost` with an ExtendLockError when the loss can\'t be explained', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock], { lockTtl: 100, explainLoss: sinon.stub().rejects(new Error('Connection lost')) });
+      const onLost = sinon.spy();
+
+      lock.extend.rejects(new LockError('Unable to extend'));
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await Bluebird.delay(125);
+
+      expect(onLost).to.be.calledOnce;
+      expect(onLost.firstCall.args[0]).to.be.instanceOf(ExtendLockError);
+      expect(onLost.firstCall.args[0].message).to.equal('Unable to extend');
+
+      await handle.release();
+    });
+  });
+
+  describe('#autoExtend() with adaptiveExtension', () => {
+    let clock;
+
+    // The extensions land after the given round-trip time and push the expiration like the backends do
+    const createSlowLock = (ttl, roundTripTime = 0) => {
+      const lock = createLock(ttl);
+
+      lock.extend = sinon.spy(extendTtl => Bluebird.delay(roundTripTime).then(() => {
+        lock.expiration = Date.now() + extendTtl;
+      }));
+
+      return lock;
+    };
+
+    // Advance the clock ms by ms, letting the promises (and bluebird's queue) settle in between
+    const tick = async (ms) => {
+      for (let i = 0; i < ms; i++) {
+        clock.tick(1);
+        await Bluebird.each(_.range(5), () => new Promise(resolve => setImmediate(resolve)));
+      }
+    };
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should extend the lock at the given fraction of the TTL', async () => {
+      const lock = createSlowLock(200);
+      const handle = createHandle([lock], { lockTtl: 200, adaptiveExtension: { extendAt: 0.25 } });
+
+      handle.autoExtend();
+      await tick(49);
+      expect(lock.extend).to.not.be.called;
+
+      await tick(1);
+      await tick(50);
+      handle.autoExtend(false);
+      await tick(200);
+
+      expect(lock.extend).to.be.calledTwice;
+      expect(handle.extendLockCounter).to.equal(2);
+    });
+
+    it('should extend the lock earlier once the round trips are slow', async () => {
+      const lock = createSlowLock(300, 100);
+      const handle = createHandle([lock], { lockTtl: 300, adaptiveExtension: true });
+
+      handle.autoExtend();
+      await tick(150);
+      expect(lock.extend).to.be.calledOnce;
+
+      // Landed at 250ms, the next extension is due 200ms (twice the round trip) + 5ms (drift) before it expires at 550ms
+      await tick(194);
+      expect(lock.extend).to.be.calledOnce;
+
+      await tick(1);
+      expect(lock.extend).to.be.calledTwice;
+      expect(handle.roundTripTimes).to.deep.equal([100]);
+
+      await handle.release();
+    });
+
+    it('should retry a failed extension while the lock is valid', async () => {
+      const lock = createSlowLock(200);
+      const handle = createHandle([lock], { lockTtl: 200, adaptiveExtension: true });
+      const onLost = sinon.spy();
+      const onExtendFailed = sinon.spy();
+      const extend = lock.extend;
+
+      lock.extend = sinon.stub().onFirstCall().rejects(new LockError('Timed out')).callsFake(extend);
+
+      handle.on('lost', onLost);
+      handle.on('extendFailed', onExtendFailed);
+      handle.autoExtend();
+      await tick(150);
+
+      expect(lock.extend).to.be.calledTwice;
+      expect(onExtendFailed).to.be.calledOnce;
+      expect(onLost).to.not.be.called;
+      expect(handle.extendLockCounter).to.equal(1);
+      expect(handle.isHeld()).to.be.true;
+
+      await handle.release();
+    });
+
+    it('should emit `lost` once the extension can no longer land before the lock expires', async () => {
+      const lock = createLock(200);
+      const handle = createHandle([lock], { lockTtl: 200, adaptiveExtension: true });
+      const onLost = sinon.spy();
+
+      lock.extend.rejects(new LockError('Unable to extend'));
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await tick(195);
+      expect(onLost).to.not.be.called;
+
+      await tick(1);
+      expect(lock.extend).to.be.calledThrice;
+      expect(onLost).to.be.calledOnce;
+      expect(onLost.firstCall.args[0]).to.be.instanceOf(ExtendLockError);
+      expect(onLost.firstCall.args[0].message).to.equal('Unable to extend');
+
+      await handle.release();
+    });
+
+    it('should emit `lost` once the lock is held for more than `lockTtl * maxExtendLockCount` ms', async () => {
+      const lock = createSlowLock(200);
+      const handle = createHandle([lock], { lockTtl: 200, maxExtendLockCount: 2, adaptiveExtension: true });
+      const onLost = sinon.spy();
+
+      handle.on('lost', onLost);
+      handle.autoExtend();
+      await tick(400);
+      expect(lock.extend.callCount).to.equal(4);
+      expect(onLost).to.not.be.called;
+
+      await tick(100);
+      expect(lock.extend.callCount).to.equal(4);
+      expect(onLost).to.be.calledOnce;
+      expect(onLost.firstCall.args[0]).to.be.instanceOf(ExtendLockError);
+
+      await handle.release();
+    });
+  });
+
+  describe('#[Symbol.asyncDispose]()', () => {
+    it('should release the locks', async () => {
+      const lock = createLock();
+      const handle = createHandle([lock]);
+
+      await handle[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]();
+
+      expect(lock.unlock).to.be.calledOnce;
+    });
+  });
+});
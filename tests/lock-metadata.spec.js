@@ -0,0 +1,106 @@
+const chai = require('chai');
+const sinon = require('sinon');
+
+const lockMetadata = require('../src/lock-metadata');
+const scripts = require('../src/scripts');
+const { createClient } = require('./helpers/redis');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('lockMetadata', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('save()', () => {
+    it('should store the metadata with its expiration on every client', async () => {
+      const clients = [createClient(1), createClient(1)];
+
+      await lockMetadata.save(clients, 'lock-key', 'value', { label: 'label' }, 100);
+
+      clients.forEach((client) => {
+        expect(client.eval).to.be.calledOnceWith(
+          scripts.SET_METADATA,
+          1,
+          '{lock-key}:metadata',
+          'value',
+          '{"lockKey":"lock-key","metadata":{"label":"label"},"expiration":1100}',
+          100
+        );
+      });
+    });
+  });
+
+  describe('remove()', () => {
+    it('should remove the metadata of the holder', async () => {
+      const client = createClient(1);
+
+      await lockMetadata.remove([client], 'lock-key', 'value');
+
+      expect(client.eval).to.be.calledOnceWith(scripts.REMOVE_METADATA, 1, '{lock-key}:metadata', 'value');
+    });
+  });
+
+  describe('load()', () => {
+    it('should resolve the live holders known by the most clients', async () => {
+      const first = lockMetadata.serialize('lock-key', { label: 'first' }, 1100);
+      const second = lockMetadata.serialize('lock-key', { label: 'second' }, 1200);
+      const expired = lockMetadata.serialize('lock-key', { label: 'expired' }, 1000);
+      const clients = [createClient([first, expired]), createClient([first, second]), createClient(null)];
+
+      expect(await lockMetadata.load(clients, 'lock-key')).to.deep.equal([{ label: 'first' }, { label: 'second' }]);
+      expect(clients[0].eval).to.be.calledOnceWith(scripts.GET_METADATA, 1, '{lock-key}:metadata');
+    });
+
+    it('should resolve an empty array when nothing is stored', async () => {
+      expect(await lockMetadata.load([createClient([])], 'lock-key')).to.deep.equal([]);
+    });
+  });
+
+  describe('scan()', () => {
+    const holderOf = (lockKey, expiration = 1100) => [lockMetadata.serialize(lockKey, {}, expiration)];
+
+    it('should list the lock keys of the live holders of every client until the cursors are exhausted', async () => {
+      const client = { scan: sinon.stub(), eval: sinon.stub() };
+
+      client.scan.withArgs('0', 'MATCH', '{invoice:*}:metadata').yields(null, ['7', ['{invoice:2}:metadata', '{invoice:4}:metadata']]);
+      client.scan.withArgs('7', 'MATCH', '{invoice:*}:metadata').yields(null, ['0', ['{invoice:1}:metadata']]);
+      client.scan.withArgs('0', 'MATCH', 'invoice:*:metadata').yields(null, ['0', ['invoice:{eu}:3:metadata']]);
+      client.eval.withArgs(scripts.GET_METADATA, 1, '{invoice:1}:metadata').yields(null, holderOf('invoice:1'));
+      client.eval.withArgs(scripts.GET_METADATA, 1, '{invoice:2}:metadata').yields(null, holderOf('invoice:2'));
+      client.eval.withArgs(scripts.GET_METADATA, 1, 'invoice:{eu}:3:metadata').yields(null, holderOf('invoice:{eu}:3'));
+      client.eval.withArgs(scripts.GET_METADATA, 1, '{invoice:4}:metadata').yields(null, holderOf('invoice:4', 1000));
+
+      const otherClient = {
+        scan: sinon.stub().yields(null, ['0', ['{invoice:1}:metadata']]),
+        eval: sinon.stub().yields(null, holderOf('invoice:1'))
+      };
+      const failingClient = { scan: sinon.stub().yields(new Error('Connection lost')) };
+
+      expect(await lockMetadata.scan([client, otherClient, failingClient], 'invoice:*')).to.deep.equal([
+        'invoice:1',
+        'invoice:2',
+        'invoice:{eu}:3'
+      ]);
+    });
+
+    it('should tell the lock keys wrapped in a hash tag from the ones having their own', async () => {
+      const client = {
+        scan: sinon.stub().yields(null, ['0', ['{invoice}:metadata']]),
+        eval: sinon.stub().yields(null, holderOf('{invoice}'))
+      };
+
+      expect(await lockMetadata.scan([client], 'invoice')).to.deep.equal([]);
+      expect(await lockMetadata.scan([client], '{invoice}')).to.deep.equal(['{invoice}']);
+    });
+  });
+});
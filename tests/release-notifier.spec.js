@@ -0,0 +1,78 @@
+const chai = require('chai');
+const EventEmitter = require('events');
+const sinon = require('sinon');
+
+const releaseNotifier = require('../src/release-notifier');
+const scripts = require('../src/scripts');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('releaseNotifier', () => {
+  describe('publish()', () => {
+    it('should publish the release of every lock key on every client', async () => {
+      const clients = [{ eval: sinon.stub().yields(null, 1) }, { eval: sinon.stub().yields(null, 0) }];
+
+      await releaseNotifier.publish(clients, ['lock-key1', 'lock-key2']);
+
+      clients.forEach((client) => {
+        expect(client.eval).to.be.calledTwice;
+        expect(client.eval).to.be.calledWith(scripts.PUBLISH, 0, 'lock-key1:released', 'lock-key1');
+        expect(client.eval).to.be.calledWith(scripts.PUBLISH, 0, 'lock-key2:released', 'lock-key2');
+      });
+    });
+  });
+
+  describe('ReleaseNotifier', () => {
+    const createSubscriber = () => Object.assign(new EventEmitter(), {
+      subscribe: sinon.spy(),
+      unsubscribe: sinon.spy()
+    });
+
+    describe('#wait()', () => {
+      it('should resolve as soon as one of the lock keys is released', async () => {
+        const subscriber = createSubscriber();
+        const notifier = new releaseNotifier.ReleaseNotifier(subscriber);
+        const startedAt = Date.now();
+        const deferred = notifier.wait(['lock-key1', 'lock-key2'], 1000);
+
+        subscriber.emit('message', 'lock-key2:released', 'lock-key2');
+        await deferred;
+
+        expect(Date.now() - startedAt).to.be.below(100);
+        expect(subscriber.subscribe).to.be.calledWith('lock-key1:released');
+        expect(subscriber.subscribe).to.be.calledWith('lock-key2:released');
+      });
+
+      it('should resolve after the delay when no lock key is released', async () => {
+        const subscriber = createSubscriber();
+        const notifier = new releaseNotifier.ReleaseNotifier(subscriber);
+        const startedAt = Date.now();
+
+        subscriber.emit('message', 'other-key:released', 'other-key');
+        await notifier.wait(['lock-key'], 50);
+
+        expect(Date.now() - startedAt).to.be.at.least(45);
+      });
+
+      it('should subscribe a channel once and unsubscribe it after the last waiter', async () => {
+        const subscriber = createSubscriber();
+        const notifier = new releaseNotifier.ReleaseNotifier(subscriber);
+        const first = notifier.wait(['lock-key'], 20);
+        const second = notifier.wait(['lock-key'], 1000);
+
+        await first;
+
+        expect(subscriber.subscribe).to.be.calledOnce;
+        expect(subscriber.unsubscribe).to.not.be.called;
+
+        subscriber.emit('message', 'lock-key:released', 'lock-key');
+        await second;
+
+        expect(subscriber.unsubscribe).to.be.calledOnceWith('lock-key:released');
+      });
+    });
+  });
+});
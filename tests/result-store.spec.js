@@ -0,0 +1,57 @@
+const chai = require('chai');
+
+const resultStore = require('../src/result-store');
+const scripts = require('../src/scripts');
+const { createClient } = require('./helpers/redis');
+
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('resultStore', () => {
+  describe('save()', () => {
+    it('should store the value on every client', async () => {
+      const clients = [createClient('OK'), createClient('OK')];
+
+      await resultStore.save(clients, 'lock-key', { value: { id: 1 } }, 1000);
+
+      clients.forEach((client) => {
+        expect(client.eval).to.be.calledOnceWith(scripts.SET_RESULT, 1, '{lock-key}:result', '{"value":{"id":1}}', 1000);
+      });
+    });
+
+    it('should store the name, message and own properties of an error', async () => {
+      const client = createClient('OK');
+      const error = new TypeError('Failed to compute');
+      error.code = 42;
+
+      await resultStore.save([client], 'lock-key', { error }, 1000);
+
+      expect(JSON.parse(client.eval.firstCall.args[3])).to.deep.equal({
+        error: { name: 'TypeError', message: 'Failed to compute', code: 42 }
+      });
+    });
+  });
+
+  describe('load()', () => {
+    it('should resolve null when nothing is stored', async () => {
+      expect(await resultStore.load([createClient(null)], 'lock-key')).to.be.null;
+    });
+
+    it('should resolve the outcome stored on any client', async () => {
+      const clients = [createClient(null), createClient('{"value":"value"}')];
+
+      expect(await resultStore.load(clients, 'lock-key')).to.deep.equal({ value: 'value' });
+      expect(clients[0].eval).to.be.calledOnceWith(scripts.GET_RESULT, 1, '{lock-key}:result');
+    });
+
+    it('should rebuild the stored error', async () => {
+      const client = createClient('{"error":{"name":"TypeError","message":"Failed to compute"}}');
+      const { error } = await resultStore.load([client], 'lock-key');
+
+      expect(error).to.be.instanceOf(Error);
+      expect(error.name).to.equal('TypeError');
+      expect(error.message).to.equal('Failed to compute');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const _ = require('lodash');
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { LockError } = require('../src/errors');
+const retry = require('../src/retry');
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+describe('retry', () => {
+  describe('fromRedlockOptions()', () => {
+    it('should translate redlock retry options', () => {
+      expect(retry.fromRedlockOptions({ retryCount: 3, retryDelay: 200, retryJitter: 100 })).to.deep.equal({
+        maxAttempts: 4,
+        retryDelay: 200,
+        backoffFactor: 1,
+        maxRetryDelay: Infinity,
+        jitter: 0.5,
+        waitTimeout: Infinity
+      });
+    });
+
+    it('should retry forever when retryCount is -1', () => {
+      expect(retry.fromRedlockOptions({ retryCount: -1 }).maxAttempts).to.equal(Infinity);
+    });
+  });
+
+  describe('resolvePolicy()', () => {
+    const defaultPolicy = retry.fromRedlockOptions({ retryCount: 0 });
+
+    it('should use the default policy when no policy is given', () => {
+      expect(retry.resolvePolicy(defaultPolicy)).to.equal(defaultPolicy);
+    });
+
+    it('should fill the missing fields of the given policy', () => {
+      expect(retry.resolvePolicy(defaultPolicy, { retryDelay: 50 })).to.include({
+        maxAttempts: 10,
+        retryDelay: 50,
+        backoffFactor: 2
+      });
+    });
+
+    it('should not limit the attempts when waitTimeout is given', () => {
+      expect(retry.resolvePolicy(defaultPolicy, { waitTimeout: 1000 }).maxAttempts).to.equal(Infinity);
+    });
+  });
+
+  describe('computeDelay()', () => {
+    const policy = { retryDelay: 100, backoffFactor: 2, maxRetryDelay: 500, jitter: 0 };
+
+    it('should back off exponentially', () => {
+      expect(_.map([1, 2, 3], attempts => retry.computeDelay(policy, attempts))).to.deep.equal([100, 200, 400]);
+    });
+
+    it('should not exceed maxRetryDelay', () => {
+      expect(retry.computeDelay(policy, 10)).to.equal(500);
+    });
+
+    it('should randomize the delay within the jitter', () => {
+      const delay = retry.computeDelay(_.assign({}, policy, { jitter: 0.5 }), 2);
+
+      expect(delay).to.be.within(100, 300);
+    });
+  });
+
+  describe('retry()', () => {
+    const policy = { maxAttempts: 3, retryDelay: 10, backoffFactor: 2, maxRetryDelay: 100, jitter: 0, waitTimeout: Infinity };
+
+    it('should resolve once the acquisition succeeds', async () => {
+      const acquire = sinon.stub();
+      acquire.onCall(0).rejects(new LockError('contended'));
+      acquire.onCall(1).resolves('lock');
+
+      await expect(retry.retry(acquire, policy)).to.eventually.equal('lock');
+      expect(acquire).to.be.calledTwice;
+    });
+
+    it('should reject with LockError carrying attempts and waitTime when exhausted', async () => {
+      const error = new LockError('contended');
+      error.contendedKeys = ['lock-key'];
+
+      const acquire = sinon.stub().rejects(error);
+      const deferred = retry.retry(acquire, policy);
+
+      await expect(deferred).to.be.rejectedWith(LockError);
+
+      const lockError = await deferred.catch(_.identity);
+
+      expect(acquire).to.be.calledThrice;
+      expect(lockError.attempts).to.equal(3);
+      expect(lockError.waitTime).to.be.at.least(25);
+      expect(lockError.contendedKeys).to.deep.equal(['lock-key']);
+    });
+
+    it('should give up once waitTimeout is reached', async () => {
+      const acquire = sinon.stub().rejects(new LockError('contended'));
+      const deferred = retry.retry(acquire, _.assign({}, policy, {
+        maxAttempts: Infinity,
+        retryDelay: 40,
+        backoffFactor: 1,
+        waitTimeout: 100
+      }));
+
+      const lockError = await deferred.catch(_.identity);
+
+      expect(lockError).to.be.instanceOf(LockError);
+      expect(lockError.waitTime).to.be.within(90, 200);
+      expect(acquire.callCount).to.be.within(3, 5);
+    });
+
+    it('should wait with the given function between the attempts', async () => {
+      const acquire = sinon.stub();
+      const wait = sinon.stub().resolves();
+      acquire.onCall(0).rejects(new LockError('contended'));
+      acquire.onCall(1).resolves('lock');
+
+      await expect(retry.retry(acquire, policy, wait)).to.eventually.equal('lock');
+      expect(wait).to.be.calledOnceWith(10);
+    });
+
+    it('should not retry on other errors', async () => {
+      const acquire = sinon.stub().rejects(new Error('Connection lost'));
+
+      await expect(retry.retry(acquire, policy)).to.be.rejectedWith('Connection lost');
+      expect(acquire).to.be.calledOnce;
+    });
+  });
+});
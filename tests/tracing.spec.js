@@ -0,0 +1,74 @@
+const _ = require('lodash');
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { LockError } = require('../src/errors');
+const tracing = require('../src/tracing');
+
+chai.use(require('sinon-chai'));
+
+const expect = chai.expect;
+
+describe('tracing', () => {
+  const createSpan = () => ({
+    setAttribute: sinon.spy(),
+    setAttributes: sinon.spy(),
+    setStatus: sinon.spy(),
+    recordException: sinon.spy(),
+    end: sinon.spy()
+  });
+
+  describe('lockAttributes()', () => {
+    it('should join the lock keys', () => {
+      expect(tracing.lockAttributes(['lock-key1', 'lock-key2'], 1000)).to.deep.equal({
+        'mutex.lock_key': 'lock-key1,lock-key2',
+        'mutex.lock_ttl': 1000
+      });
+    });
+  });
+
+  describe('startSpan()', () => {
+    it('should start a span with the given attributes', () => {
+      const span = createSpan();
+      const tracer = { startSpan: sinon.stub().returns(span) };
+
+      expect(tracing.startSpan(tracer, 'mutex.acquire', { 'mutex.lock_ttl': 1000 })).to.equal(span);
+      expect(tracer.startSpan).to.be.calledOnceWith('mutex.acquire', { attributes: { 'mutex.lock_ttl': 1000 } });
+    });
+
+    it('should return a no-op span when no tracer is given', () => {
+      const span = tracing.startSpan(undefined, 'mutex.acquire', {});
+
+      expect(() => span.end()).to.not.throw();
+    });
+  });
+
+  describe('startActiveSpan()', () => {
+    it('should call the function with the active span', () => {
+      const span = createSpan();
+      const tracer = { startActiveSpan: sinon.stub().callsFake((name, options, fn) => fn(span)) };
+
+      expect(tracing.startActiveSpan(tracer, 'mutex.critical_section', {}, _.identity)).to.equal(span);
+    });
+
+    it('should fall back to a regular span', () => {
+      const span = createSpan();
+      const tracer = { startSpan: sinon.stub().returns(span) };
+
+      expect(tracing.startActiveSpan(tracer, 'mutex.critical_section', {}, _.identity)).to.equal(span);
+    });
+  });
+
+  describe('fail()', () => {
+    it('should set the error status of the span', () => {
+      const span = createSpan();
+      const error = new LockError('Contended');
+
+      tracing.fail(span, error);
+
+      expect(span.setAttribute).to.be.calledOnceWith('error.type', 'LockError');
+      expect(span.recordException).to.be.calledOnceWith(error);
+      expect(span.setStatus).to.be.calledOnceWith({ code: 2, message: 'Contended' });
+    });
+  });
+});